@@ -1,11 +1,17 @@
 import crypto from 'crypto';
 
+// Stored hashes look like "pbkdf2-sha256$<iterations>$<salt hex>$<hash hex>".
+// Older entries are "<sha256 hex>:<salt hex>" and are upgraded on the next login.
+// Same format as functions/lib/password.js so both deployments can share admin docs.
+const HASH_SCHEME = 'pbkdf2-sha256';
+const PBKDF2_ITERATIONS = 100000;
+const HASH_BYTES = 32;
+
 /**
- * Hash a password using SHA-256 with salt
- * Note: For production, consider using bcrypt instead
+ * Hash a password using PBKDF2-SHA256 with a random salt
  * @param {string} password - Plain text password
- * @param {string} salt - Optional salt (will generate if not provided)
- * @returns {Object} - Object containing hash and salt
+ * @param {string} salt - Optional hex salt (will generate if not provided)
+ * @returns {Object} - Object containing hash, salt, iterations and the storable fullHash
  */
 export function hashPassword(password, salt = null) {
     if (!password) {
@@ -17,24 +23,22 @@ export function hashPassword(password, salt = null) {
         salt = crypto.randomBytes(16).toString('hex');
     }
 
-    // Hash password with salt using SHA-256
     const hash = crypto
-        .createHash('sha256')
-        .update(password + salt)
-        .digest('hex');
+        .pbkdf2Sync(password, Buffer.from(salt, 'hex'), PBKDF2_ITERATIONS, HASH_BYTES, 'sha256')
+        .toString('hex');
 
     return {
         hash: hash,
         salt: salt,
-        // Store as "hash:salt" format for easy storage
-        fullHash: `${hash}:${salt}`
+        iterations: PBKDF2_ITERATIONS,
+        fullHash: `${HASH_SCHEME}$${PBKDF2_ITERATIONS}$${salt}$${hash}`
     };
 }
 
 /**
  * Verify a password against a stored hash
  * @param {string} password - Plain text password to verify
- * @param {string} storedHash - Stored hash in format "hash:salt"
+ * @param {string} storedHash - "pbkdf2-sha256$iterations$salt$hash", or legacy "hash:salt"
  * @returns {boolean} - True if password matches
  */
 export function verifyPassword(password, storedHash) {
@@ -43,30 +47,47 @@ export function verifyPassword(password, storedHash) {
     }
 
     try {
-        // Split stored hash into hash and salt
-        const [hash, salt] = storedHash.split(':');
-        
-        if (!hash || !salt) {
-            return false;
-        }
+        let expected;
+        let computed;
 
-        // Hash the provided password with the stored salt
-        const computedHash = crypto
-            .createHash('sha256')
-            .update(password + salt)
-            .digest('hex');
+        if (storedHash.startsWith(`${HASH_SCHEME}$`)) {
+            const [, iterations, salt, hash] = storedHash.split('$');
+            if (!salt || !hash || !(parseInt(iterations, 10) > 0)) {
+                return false;
+            }
+            expected = Buffer.from(hash, 'hex');
+            computed = crypto.pbkdf2Sync(password, Buffer.from(salt, 'hex'), parseInt(iterations, 10), HASH_BYTES, 'sha256');
+        } else {
+            // Legacy single-round salted SHA-256
+            const [hash, salt] = storedHash.split(':');
+            if (!hash || !salt) {
+                return false;
+            }
+            expected = Buffer.from(hash, 'hex');
+            computed = crypto.createHash('sha256').update(password + salt).digest();
+        }
 
         // Compare hashes (use timing-safe comparison)
-        return crypto.timingSafeEqual(
-            Buffer.from(hash, 'hex'),
-            Buffer.from(computedHash, 'hex')
-        );
+        return expected.length === computed.length && crypto.timingSafeEqual(expected, computed);
     } catch (error) {
         console.error('Password verification error:', error);
         return false;
     }
 }
 
+/**
+ * Whether a stored hash should be replaced after a successful login
+ * (legacy format or fewer iterations than the current setting)
+ * @param {string} storedHash
+ * @returns {boolean}
+ */
+export function needsRehash(storedHash) {
+    if (!storedHash || !storedHash.startsWith(`${HASH_SCHEME}$`)) {
+        return true;
+    }
+    return parseInt(storedHash.split('$')[1], 10) < PBKDF2_ITERATIONS;
+}
+
 /**
  * Generate a secure random password (for admin setup)
  * @param {number} length - Password length (default: 16)
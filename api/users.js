@@ -2,7 +2,7 @@ import { db } from './lib/firebase.js';
 // We need to dynamically import verifyPassword because it might not be needed for all actions
 // and to avoid issues if the file is missing (though it should be there).
 // Actually, standard import is fine since it's bundled.
-import { verifyPassword } from './lib/password.js';
+import { verifyPassword, hashPassword, needsRehash } from './lib/password.js';
 import { sendTelegramNotification } from './lib/telegram.js';
 
 export default async function handler(req, res) {
@@ -213,8 +213,12 @@ async function adminLogin(req, res) {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Update last login
-        await db.collection('admins').doc(email).update({ lastLogin: new Date().toISOString() });
+        // Update last login, replacing legacy SHA-256 hashes now that we have the plain password
+        const loginUpdate = { lastLogin: new Date().toISOString() };
+        if (needsRehash(adminData.passwordHash)) {
+            loginUpdate.passwordHash = hashPassword(password).fullHash;
+        }
+        await db.collection('admins').doc(email).update(loginUpdate);
 
         return res.status(200).json({
             success: true,
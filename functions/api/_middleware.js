@@ -0,0 +1,61 @@
+/**
+ * CORS for every /api route (see lib/cors.js): answers preflights and adds the
+ * route's Access-Control-* headers to each response
+ */
+import { CORS_POLICIES, isOriginAllowed, preflightResponse, withCors } from '../lib/cors.js';
+import { ADMIN_ACTIONS as USER_ADMIN_ACTIONS } from './users.js';
+import { ADMIN_ACTIONS as PAYMENT_ADMIN_ACTIONS } from './payments.js';
+
+// Routes used only by the admin panel (and the Telegram webhook, which browsers never call)
+const ADMIN_ROUTES = [
+    '/api/admin-login',
+    '/api/approve-payment',
+    '/api/reject-payment',
+    '/api/delete-payment',
+    '/api/delete-user',
+    '/api/get-all-users',
+    '/api/get-pending-payments',
+    '/api/telegram-webhook'
+];
+
+// /api/users actions the admin pages call before they have a session
+const ADMIN_LOGIN_ACTIONS = ['admin-login', 'check-admin'];
+
+function policyFor(url) {
+    const path = url.pathname.replace(/\/+$/, '');
+    const action = url.searchParams.get('action');
+
+    if (path === '/api/check-sms-credits' || (path === '/api/sms' && action === 'check-sms-credits')) {
+        return CORS_POLICIES.public;
+    }
+    if (ADMIN_ROUTES.includes(path)) {
+        return CORS_POLICIES.admin;
+    }
+    if (path === '/api/users' && action &&
+        (Object.hasOwn(USER_ADMIN_ACTIONS, action) || ADMIN_LOGIN_ACTIONS.includes(action))) {
+        return CORS_POLICIES.admin;
+    }
+    if (path === '/api/payments' && action && Object.hasOwn(PAYMENT_ADMIN_ACTIONS, action)) {
+        return CORS_POLICIES.admin;
+    }
+    return CORS_POLICIES.app;
+}
+
+export async function onRequest(context) {
+    const { request, env, next } = context;
+    const policy = policyFor(new URL(request.url));
+
+    if (request.method === 'OPTIONS') {
+        return preflightResponse(request, env, policy);
+    }
+
+    // Browsers send simple cross-site requests without a preflight; don't run them
+    if (request.headers.has('Origin') && !isOriginAllowed(request, env, policy)) {
+        return withCors(request, env, new Response(JSON.stringify({ error: 'Origin not allowed' }), {
+            status: 403,
+            headers: { 'Content-Type': 'application/json' }
+        }), policy);
+    }
+
+    return withCors(request, env, await next(), policy);
+}
@@ -1,22 +1,19 @@
 /**
  * Approve Payment API - Direct endpoint for Cloudflare Pages
  */
-import { initFirebase, getDb } from '../lib/firebase.js';
+import { initFirebase, getDb, errorResponseFor } from '../lib/firebase.js';
+import { requireAdmin } from '../lib/session.js';
+import { can } from '../lib/roles.js';
 import { sendTelegramNotification } from '../lib/telegram.js';
+import { approvePaymentRecord } from '../lib/payments.js';
 
-const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-Requested-With',
+// CORS headers are added by _middleware.js (see lib/cors.js)
+const jsonHeaders = {
     'Content-Type': 'application/json'
 };
 
 function jsonResponse(data, status = 200) {
-    return new Response(JSON.stringify(data), { status, headers: corsHeaders });
-}
-
-export async function onRequestOptions() {
-    return new Response(null, { status: 200, headers: corsHeaders });
+    return new Response(JSON.stringify(data), { status, headers: jsonHeaders });
 }
 
 export async function onRequestPost(context) {
@@ -25,49 +22,34 @@ export async function onRequestPost(context) {
     const db = getDb();
 
     try {
+        const admin = await requireAdmin(request, env, db);
+        if (!admin) {
+            return jsonResponse({ error: 'Admin session required' }, 401);
+        }
+        if (!can(admin.role, 'payments:approve')) {
+            return jsonResponse({ error: 'Your admin role does not allow this action' }, 403);
+        }
+
         const body = await request.json();
-        const { paymentId, adminEmail } = body;
+        const { paymentId } = body;
 
         if (!paymentId) {
             return jsonResponse({ error: 'Payment ID required' }, 400);
         }
 
-        const paymentRef = db.collection('payments').doc(paymentId);
-        const paymentDoc = await paymentRef.get();
-
-        if (!paymentDoc.exists) {
-            return jsonResponse({ error: 'Payment not found' }, 404);
-        }
-
-        const paymentData = paymentDoc.data();
-        if (paymentData.status === 'approved') {
-            return jsonResponse({ error: 'Already approved' }, 400);
+        const result = await approvePaymentRecord(db, paymentId, { actor: admin.email });
+        if (result.error) {
+            return jsonResponse({ error: result.error }, result.status);
         }
-
+        const { payment: paymentData, creditsAdded: creditsToAdd } = result;
         const userEmail = paymentData.email;
-        const creditsToAdd = Math.floor(paymentData.amount);
-
-        await paymentRef.update({
-            status: 'approved',
-            approvedBy: adminEmail || 'admin',
-            approvedAt: new Date().toISOString()
-        });
-
-        const userRef = db.collection('users').doc(userEmail);
-        const userDoc = await userRef.get();
-        const currentCredits = userDoc.exists ? (userDoc.data().smsCredits || 0) : 0;
-
-        await userRef.set({
-            smsCredits: currentCredits + creditsToAdd,
-            lastPaymentDate: new Date().toISOString(),
-            subscriptionStatus: 'active'
-        }, { merge: true });
 
-        sendTelegramNotification(`✅ Payment Approved!\n\nUser: ${userEmail}\nAmount: $${paymentData.amount}\nCredits Added: ${creditsToAdd}`, env).catch(console.error);
+        sendTelegramNotification(`✅ Payment Approved!\n\nUser: ${userEmail}\nAmount: $${paymentData.amount}\nCredits Added: ${creditsToAdd}\nApproved By: ${admin.email}`, env).catch(console.error);
 
         return jsonResponse({ success: true, message: 'Payment approved and credits added' });
     } catch (error) {
         console.error('Approve payment error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
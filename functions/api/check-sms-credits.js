@@ -2,39 +2,32 @@
  * Check SMS Credits API - Cloudflare Pages Function
  * Handles: /api/check-sms-credits
  */
-import { initFirebase, getDb } from '../lib/firebase.js';
+import { initFirebase, getDb, errorResponseFor } from '../lib/firebase.js';
+import { authenticateApiKey } from '../lib/api-keys.js';
 
-const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-Requested-With',
+// CORS headers are added by _middleware.js (see lib/cors.js)
+const jsonHeaders = {
     'Content-Type': 'application/json'
 };
 
 function jsonResponse(data, status = 200) {
-    return new Response(JSON.stringify(data), { status, headers: corsHeaders });
+    return new Response(JSON.stringify(data), { status, headers: jsonHeaders });
 }
 
-// CORS preflight
-export async function onRequestOptions() {
-    return new Response(null, { status: 200, headers: corsHeaders });
-}
-
-// POST handler
-export async function onRequestPost(context) {
+// Both methods authenticate with "Authorization: Bearer <api key>" and
+// report the credits of the key's owner
+async function checkCredits(context) {
     const { request, env } = context;
     initFirebase(env);
     const db = getDb();
 
     try {
-        const body = await request.json();
-        const userEmail = body.userEmail;
-
-        if (!userEmail) {
-            return jsonResponse({ error: 'Email required' }, 400);
+        const apiKey = await authenticateApiKey(request, db);
+        if (!apiKey) {
+            return jsonResponse({ error: 'Valid API key required' }, 401);
         }
 
-        const userDoc = await db.collection('users').doc(userEmail).get();
+        const userDoc = await db.collection('users').doc(apiKey.userEmail).get();
         const smsCredits = userDoc.exists ? (userDoc.data().smsCredits || 0) : 0;
 
         return jsonResponse({
@@ -46,36 +39,17 @@ export async function onRequestPost(context) {
         });
     } catch (error) {
         console.error('Check credits error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
 
+// POST handler
+export async function onRequestPost(context) {
+    return checkCredits(context);
+}
+
 // GET handler (for backwards compatibility)
 export async function onRequestGet(context) {
-    const { request, env } = context;
-    initFirebase(env);
-    const db = getDb();
-
-    const url = new URL(request.url);
-    const userEmail = url.searchParams.get('userEmail');
-
-    if (!userEmail) {
-        return jsonResponse({ error: 'Email required' }, 400);
-    }
-
-    try {
-        const userDoc = await db.collection('users').doc(userEmail).get();
-        const smsCredits = userDoc.exists ? (userDoc.data().smsCredits || 0) : 0;
-
-        return jsonResponse({
-            success: true,
-            data: {
-                hasCredits: smsCredits > 0,
-                smsCredits
-            }
-        });
-    } catch (error) {
-        console.error('Check credits error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
-    }
+    return checkCredits(context);
 }
@@ -2,22 +2,17 @@
  * Deduct SMS Credit API - Cloudflare Pages Function
  * Handles: /api/deduct-sms-credit
  */
-import { initFirebase, getDb, FieldValue } from '../lib/firebase.js';
+import { initFirebase, getDb, FieldValue, errorResponseFor } from '../lib/firebase.js';
+import { authenticateApiKey } from '../lib/api-keys.js';
+import { writeCreditChange } from '../lib/credits.js';
 
-const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-Requested-With',
+// CORS headers are added by _middleware.js (see lib/cors.js)
+const jsonHeaders = {
     'Content-Type': 'application/json'
 };
 
 function jsonResponse(data, status = 200) {
-    return new Response(JSON.stringify(data), { status, headers: corsHeaders });
-}
-
-// CORS preflight
-export async function onRequestOptions() {
-    return new Response(null, { status: 200, headers: corsHeaders });
+    return new Response(JSON.stringify(data), { status, headers: jsonHeaders });
 }
 
 // POST handler
@@ -27,36 +22,51 @@ export async function onRequestPost(context) {
     const db = getDb();
 
     try {
-        const body = await request.json();
-        const { userEmail } = body;
-
-        if (!userEmail) {
-            return jsonResponse({ error: 'Email required' }, 400);
+        const apiKey = await authenticateApiKey(request, db);
+        if (!apiKey) {
+            return jsonResponse({ error: 'Valid API key required' }, 401);
         }
 
+        const { userEmail, keyId } = apiKey;
+
         const userRef = db.collection('users').doc(userEmail);
 
-        // Get current credits
-        const userDoc = await userRef.get();
-        if (!userDoc.exists) {
-            return jsonResponse({ error: 'User does not exist' }, 404);
-        }
+        // Read and deduct atomically so concurrent requests cannot overspend
+        const result = await db.runTransaction(async (t) => {
+            const userDoc = await t.get(userRef);
+            if (!userDoc.exists) {
+                return { error: 'User does not exist', status: 404 };
+            }
+
+            const currentCredits = userDoc.data().smsCredits || 0;
+            if (currentCredits <= 0) {
+                return { error: 'Insufficient credits', status: 402 };
+            }
+
+            const newCredits = writeCreditChange(t, db, userDoc, {
+                type: 'usage',
+                delta: -1,
+                actor: userEmail,
+                referenceId: keyId
+            }, {
+                lastUsed: new Date().toISOString(),
+                totalSent: FieldValue.increment(1),
+                thisMonthSent: FieldValue.increment(1)
+            });
+            return { newCredits };
+        });
 
-        const currentCredits = userDoc.data().smsCredits || 0;
-        if (currentCredits <= 0) {
+        if (result.status === 404) {
+            return jsonResponse({ error: result.error }, 404);
+        }
+        if (result.status === 402) {
             return jsonResponse({
-                error: 'Insufficient credits',
+                error: result.error,
                 data: { smsCredits: 0, hasCredits: false }
             }, 402);
         }
 
-        // Deduct credit
-        const newCredits = currentCredits - 1;
-        await userRef.update({
-            smsCredits: newCredits,
-            lastUsed: new Date().toISOString()
-        });
-
+        const { newCredits } = result;
         return jsonResponse({
             success: true,
             message: 'Credit deducted successfully',
@@ -68,9 +78,7 @@ export async function onRequestPost(context) {
         });
     } catch (error) {
         console.error('Deduct credit error:', error);
-        return jsonResponse({
-            error: 'Internal server error',
-            details: error.message
-        }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse({ ...body, details: error.message }, status);
     }
 }
@@ -1,21 +1,17 @@
 /**
  * Delete Payment API - Direct endpoint for Cloudflare Pages
  */
-import { initFirebase, getDb } from '../lib/firebase.js';
+import { initFirebase, getDb, errorResponseFor } from '../lib/firebase.js';
+import { requireAdmin } from '../lib/session.js';
+import { can } from '../lib/roles.js';
 
-const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-Requested-With',
+// CORS headers are added by _middleware.js (see lib/cors.js)
+const jsonHeaders = {
     'Content-Type': 'application/json'
 };
 
 function jsonResponse(data, status = 200) {
-    return new Response(JSON.stringify(data), { status, headers: corsHeaders });
-}
-
-export async function onRequestOptions() {
-    return new Response(null, { status: 200, headers: corsHeaders });
+    return new Response(JSON.stringify(data), { status, headers: jsonHeaders });
 }
 
 export async function onRequestPost(context) {
@@ -24,6 +20,14 @@ export async function onRequestPost(context) {
     const db = getDb();
 
     try {
+        const admin = await requireAdmin(request, env, db);
+        if (!admin) {
+            return jsonResponse({ error: 'Admin session required' }, 401);
+        }
+        if (!can(admin.role, 'payments:delete')) {
+            return jsonResponse({ error: 'Your admin role does not allow this action' }, 403);
+        }
+
         const body = await request.json();
         const { paymentId } = body;
 
@@ -42,6 +46,7 @@ export async function onRequestPost(context) {
         return jsonResponse({ success: true, message: 'Payment deleted' });
     } catch (error) {
         console.error('Delete payment error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
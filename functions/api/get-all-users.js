@@ -1,35 +1,70 @@
 /**
  * Get All Users API - Direct endpoint for Cloudflare Pages
  */
-import { initFirebase, getDb } from '../lib/firebase.js';
+import { initFirebase, getDb, errorResponseFor, MAX_DISJUNCTION_VALUES } from '../lib/firebase.js';
+import { requireAdmin } from '../lib/session.js';
+import { can } from '../lib/roles.js';
 
-const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-Requested-With',
+// CORS headers are added by _middleware.js (see lib/cors.js)
+const jsonHeaders = {
     'Content-Type': 'application/json'
 };
 
 function jsonResponse(data, status = 200) {
-    return new Response(JSON.stringify(data), { status, headers: corsHeaders });
-}
-
-export async function onRequestOptions() {
-    return new Response(null, { status: 200, headers: corsHeaders });
+    return new Response(JSON.stringify(data), { status, headers: jsonHeaders });
 }
 
+// Without pageSize every user is returned (newest first); with pageSize the
+// users are paged by email and nextPageToken is passed back as pageToken.
+// ?emails=a,b returns just those users.
 export async function onRequestGet(context) {
-    const { env } = context;
+    const { request, env } = context;
     initFirebase(env);
     const db = getDb();
 
     try {
-        const usersSnapshot = await db.collection('users').get();
-        const users = [];
+        const admin = await requireAdmin(request, env, db);
+        if (!admin) {
+            return jsonResponse({ error: 'Admin session required' }, 401);
+        }
+        if (!can(admin.role, 'users:read')) {
+            return jsonResponse({ error: 'Your admin role does not allow this action' }, 403);
+        }
+
+        const url = new URL(request.url);
+        const pageSize = parseInt(url.searchParams.get('pageSize'), 10);
+        const pageToken = url.searchParams.get('pageToken');
+        const emails = (url.searchParams.get('emails') || '').split(',').map(e => e.trim()).filter(Boolean);
+
+        // ?emails=a,b looks users up by id, in chunks of the 'in' operator's limit
+        if (emails.length > 0) {
+            const users = [];
+            for (let i = 0; i < emails.length; i += MAX_DISJUNCTION_VALUES) {
+                const snapshot = await db.collection('users')
+                    .where('__name__', 'in', emails.slice(i, i + MAX_DISJUNCTION_VALUES))
+                    .get();
+                snapshot.forEach(doc => users.push({ email: doc.id, ...doc.data() }));
+            }
+            return jsonResponse({ success: true, users, count: users.length });
+        }
 
-        usersSnapshot.forEach(doc => {
+        if (pageSize > 0) {
+            let query = db.collection('users').orderBy('__name__').limit(Math.min(pageSize, 500));
+            if (pageToken) {
+                query = query.startAfter(pageToken);
+            }
+
+            const snapshot = await query.get();
+            const users = snapshot.docs.map(doc => ({ email: doc.id, ...doc.data() }));
+            const nextPageToken = snapshot.size === query.limitCount ? snapshot.docs[snapshot.size - 1].id : null;
+
+            return jsonResponse({ success: true, users, count: users.length, nextPageToken });
+        }
+
+        const users = [];
+        for await (const doc of db.collection('users')) {
             users.push({ email: doc.id, ...doc.data() });
-        });
+        }
 
         users.sort((a, b) => {
             const dateA = a.createdAt || a.updatedAt || '';
@@ -40,6 +75,7 @@ export async function onRequestGet(context) {
         return jsonResponse({ success: true, users, count: users.length });
     } catch (error) {
         console.error('Get all users error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
@@ -1,31 +1,44 @@
 /**
  * Get Pending Payments API - Direct endpoint for Cloudflare Pages
  */
-import { initFirebase, getDb } from '../lib/firebase.js';
+import { initFirebase, getDb, errorResponseFor, toMillis } from '../lib/firebase.js';
+import { requireAdmin } from '../lib/session.js';
+import { can } from '../lib/roles.js';
 
-const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-Requested-With',
+// CORS headers are added by _middleware.js (see lib/cors.js)
+const jsonHeaders = {
     'Content-Type': 'application/json'
 };
 
 function jsonResponse(data, status = 200) {
-    return new Response(JSON.stringify(data), { status, headers: corsHeaders });
+    return new Response(JSON.stringify(data), { status, headers: jsonHeaders });
 }
 
-export async function onRequestOptions() {
-    return new Response(null, { status: 200, headers: corsHeaders });
-}
+const PAYMENT_STATUSES = ['pending', 'approved', 'rejected'];
 
 export async function onRequestGet(context) {
-    const { env } = context;
+    const { request, env } = context;
     initFirebase(env);
     const db = getDb();
 
     try {
+        const admin = await requireAdmin(request, env, db);
+        if (!admin) {
+            return jsonResponse({ error: 'Admin session required' }, 401);
+        }
+        if (!can(admin.role, 'payments:read')) {
+            return jsonResponse({ error: 'Your admin role does not allow this action' }, 403);
+        }
+
+        // ?status=pending,rejected - defaults to pending only
+        const url = new URL(request.url);
+        const statuses = (url.searchParams.get('status') || 'pending').split(',').map(s => s.trim()).filter(Boolean);
+        if (statuses.length === 0 || statuses.some(s => !PAYMENT_STATUSES.includes(s))) {
+            return jsonResponse({ error: `status must be one of ${PAYMENT_STATUSES.join(', ')}` }, 400);
+        }
+
         const snapshot = await db.collection('payments')
-            .where('status', '==', 'pending')
+            .where('status', 'in', statuses)
             .get();
 
         const payments = [];
@@ -34,14 +47,13 @@ export async function onRequestGet(context) {
         });
 
         payments.sort((a, b) => {
-            const dateA = a.createdAt ? new Date(a.createdAt).getTime() : 0;
-            const dateB = b.createdAt ? new Date(b.createdAt).getTime() : 0;
-            return dateB - dateA;
+            return toMillis(b.createdAt) - toMillis(a.createdAt);
         });
 
         return jsonResponse({ success: true, payments });
     } catch (error) {
         console.error('Get pending payments error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
@@ -1,14 +1,17 @@
 /**
  * Payments API for Cloudflare Pages Functions
  */
-import { initFirebase, getDb } from '../lib/firebase.js';
+import { initFirebase, getDb, errorResponseFor, toMillis } from '../lib/firebase.js';
 import { sendTelegramNotification, sendPaymentNotificationWithButtons } from '../lib/telegram.js';
-
-// CORS headers
-const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-Requested-With',
+import { requireAdmin, requireUser } from '../lib/session.js';
+import { can } from '../lib/roles.js';
+import { PAYMENT_NETWORKS, verifyPayment, describeVerification, notifyVerification } from '../lib/payment-verifier.js';
+import { normalizeTxid, createPaymentWithTxid, recordTxidReuse, describeTxidReuse } from '../lib/txids.js';
+import { approvePaymentRecord, rejectPaymentRecord } from '../lib/payments.js';
+import { creditsForAmount, getPricing, savePricing } from '../lib/pricing.js';
+
+// CORS headers are added by _middleware.js (see lib/cors.js)
+const jsonHeaders = {
     'Content-Type': 'application/json'
 };
 
@@ -16,14 +19,25 @@ const corsHeaders = {
 function jsonResponse(data, status = 200) {
     return new Response(JSON.stringify(data), {
         status,
-        headers: corsHeaders
+        headers: jsonHeaders
     });
 }
 
-// Handle OPTIONS preflight
-export async function onRequestOptions() {
-    return new Response(null, { status: 200, headers: corsHeaders });
-}
+const PAYMENT_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Actions that need a signed admin session (see lib/session.js), with the
+// permission each needs (see lib/roles.js)
+export const ADMIN_ACTIONS = {
+    'approve-payment': 'payments:approve',
+    'reject-payment': 'payments:approve',
+    'delete-payment': 'payments:delete',
+    'get-pending-payments': 'payments:read',
+    'verify-payment': 'payments:approve',
+    'update-pricing': 'pricing:manage'
+};
+
+// Actions that act on the logged-in user's own data; the email comes from the user session
+const USER_ACTIONS = ['submit-payment', 'get-user-payments'];
 
 // Handle all other requests
 export async function onRequest(context) {
@@ -39,121 +53,209 @@ export async function onRequest(context) {
     console.log(`Payments API called with action: ${action}`);
 
     try {
+        let admin = null;
+        if (Object.hasOwn(ADMIN_ACTIONS, action)) {
+            admin = await requireAdmin(request, env, db);
+            if (!admin) {
+                return jsonResponse({ error: 'Admin session required' }, 401);
+            }
+            if (!can(admin.role, ADMIN_ACTIONS[action])) {
+                return jsonResponse({ error: 'Your admin role does not allow this action' }, 403);
+            }
+        }
+
+        let userEmail = null;
+        if (USER_ACTIONS.includes(action)) {
+            userEmail = await requireUser(request, env);
+            if (!userEmail) {
+                return jsonResponse({ error: 'Login required' }, 401);
+            }
+        }
+
         switch (action) {
             case 'submit-payment':
-                return await submitPayment(request, db, env);
+                return await submitPayment(request, db, env, userEmail);
             case 'approve-payment':
-                return await approvePayment(request, db, env);
+                return await approvePayment(request, db, env, admin);
             case 'reject-payment':
-                return await rejectPayment(request, db, env);
+                return await rejectPayment(request, db, env, admin);
             case 'delete-payment':
                 return await deletePayment(request, db);
             case 'get-pending-payments':
-                return await getPendingPayments(db);
+                return await getPendingPayments(db, url);
+            case 'verify-payment':
+                return await reverifyPayment(request, db, env, admin);
             case 'get-user-payments':
-                return await getUserPayments(request, db, method, url);
+                return await getUserPayments(db, method, userEmail);
+            case 'get-pricing':
+                return await getPricingEndpoint(db, method);
+            case 'update-pricing':
+                return await updatePricing(request, db, env, admin);
             default:
                 return jsonResponse({ error: 'Invalid action' }, 400);
         }
     } catch (error) {
         console.error('Payments API Error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
 
 // --- Submit Payment ---
-async function submitPayment(request, db, env) {
+async function submitPayment(request, db, env, email) {
     if (request.method !== 'POST') {
         return jsonResponse({ error: 'Method not allowed' }, 405);
     }
 
     try {
         const body = await request.json();
-        const { email, amount, txid, currency } = body;
+        const { amount, txid, currency, network } = body;
 
-        if (!email || !amount || !txid) {
+        if (!amount || !txid) {
             return jsonResponse({ error: 'Missing fields' }, 400);
         }
+        if (network && !Object.hasOwn(PAYMENT_NETWORKS, network)) {
+            return jsonResponse({ error: `network must be one of ${Object.keys(PAYMENT_NETWORKS).join(', ')}` }, 400);
+        }
+        const normalizedTxid = normalizeTxid(txid);
+        if (!normalizedTxid) {
+            return jsonResponse({ error: 'Transaction ID must be a 64-character hex hash' }, 400);
+        }
+        const pricing = await getPricing(db);
+        if (!(parseFloat(amount) >= pricing.minimumAmount)) {
+            return jsonResponse({ error: `The minimum payment is $${pricing.minimumAmount}` }, 400);
+        }
 
         const paymentData = {
             email,
             amount: parseFloat(amount),
-            txid,
+            // Credits quoted now; approving later uses this even if pricing changes
+            credits: creditsForAmount(parseFloat(amount), pricing),
+            txid: normalizedTxid,
             currency: currency || 'USDT',
+            network: network || null,
             status: 'pending',
-            createdAt: new Date().toISOString()
+            createdAt: new Date()
         };
 
         console.log('[Payment] Saving payment to Firestore:', email, amount);
-        const paymentRef = await db.collection('payments').add(paymentData);
-        const paymentId = paymentRef.id;
+        const created = await createPaymentWithTxid(db, paymentData);
+        if (created.duplicate) {
+            return await rejectReusedTxid(db, env, paymentData, created.duplicate);
+        }
+        const paymentId = created.paymentId;
         console.log('[Payment] Payment saved with ID:', paymentId);
 
+        // Check the transaction on chain; verified payments are approved right away
+        let verified = null;
+        try {
+            verified = await verifyPayment(db, env, paymentId);
+        } catch (verifyError) {
+            console.error('[Payment] On-chain verification failed:', verifyError);
+        }
+
         // Send Telegram notification
         console.log('[Payment] Sending Telegram notification...');
         console.log('[Payment] TELEGRAM_BOT_TOKEN exists:', !!env.TELEGRAM_BOT_TOKEN);
         console.log('[Payment] TELEGRAM_ADMIN_CHAT_ID exists:', !!env.TELEGRAM_ADMIN_CHAT_ID);
 
         try {
-            await sendPaymentNotificationWithButtons(email, amount, txid, paymentId, env);
+            if (verified && verified.approved) {
+                await notifyVerification(verified, env);
+            } else {
+                await sendPaymentNotificationWithButtons(email, amount, normalizedTxid, paymentId, env, {
+                    network: network ? PAYMENT_NETWORKS[network].label : null,
+                    verification: describeVerification(verified && verified.verification)
+                });
+            }
             console.log('[Payment] Telegram notification sent successfully');
         } catch (telegramError) {
             console.error('[Payment] Telegram notification failed:', telegramError);
         }
 
-        return jsonResponse({ success: true, message: 'Payment submitted' });
+        if (verified && verified.approved) {
+            return jsonResponse({
+                success: true,
+                approved: true,
+                creditsAdded: verified.creditsAdded,
+                message: 'Payment verified on chain and credits added'
+            });
+        }
+        return jsonResponse({
+            success: true,
+            approved: false,
+            credits: paymentData.credits,
+            verification: verified && verified.verification ? verified.verification.status : null,
+            message: 'Payment submitted'
+        });
     } catch (error) {
         console.error('Submit payment error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
 
+// The txid already backs a pending or approved payment (see lib/txids.js)
+async function rejectReusedTxid(db, env, paymentData, original) {
+    const { email, amount } = paymentData;
+
+    // Resubmitting your own pending payment is a mistake, not fraud
+    if (original.data.email === email && original.data.status === 'pending') {
+        return jsonResponse({ error: 'You already submitted this transaction; it is awaiting approval' }, 409);
+    }
+
+    console.log('[Payment] Rejected reused TXID:', email, 'original payment:', original.id);
+    // An approved payment that was deleted keeps its claim but has no document to flag
+    if (original.data.status !== 'deleted') {
+        await recordTxidReuse(db, original.id, { email, amount });
+    }
+
+    const warning = describeTxidReuse(email, original);
+    try {
+        if (original.data.status === 'pending') {
+            const network = original.data.network && PAYMENT_NETWORKS[original.data.network];
+            await sendPaymentNotificationWithButtons(original.data.email, original.data.amount, original.data.txid, original.id, env, {
+                network: network ? network.label : null,
+                verification: describeVerification(original.data.verification),
+                fraudWarning: warning
+            });
+        } else {
+            await sendTelegramNotification(`
+🚨 <b>FRAUD WARNING: Reused TXID</b>
+
+${warning}.
+
+<b>Attempted amount:</b> $${amount}
+<b>TXID:</b> <code>${paymentData.txid}</code>
+            `, env);
+        }
+    } catch (telegramError) {
+        console.error('[Payment] Telegram notification failed:', telegramError);
+    }
+
+    return jsonResponse({ error: 'This transaction ID has already been used for another payment' }, 409);
+}
+
 // --- Approve Payment ---
-async function approvePayment(request, db, env) {
+async function approvePayment(request, db, env, admin) {
     if (request.method !== 'POST') {
         return jsonResponse({ error: 'Method not allowed' }, 405);
     }
 
     try {
         const body = await request.json();
-        const { paymentId, adminEmail } = body;
+        const { paymentId } = body;
 
         if (!paymentId) {
             return jsonResponse({ error: 'Payment ID required' }, 400);
         }
 
-        const paymentRef = db.collection('payments').doc(paymentId);
-        const paymentDoc = await paymentRef.get();
-
-        if (!paymentDoc.exists) {
-            return jsonResponse({ error: 'Payment not found' }, 404);
+        const result = await approvePaymentRecord(db, paymentId, { actor: admin.email });
+        if (result.error) {
+            return jsonResponse({ error: result.error }, result.status);
         }
-
-        const paymentData = paymentDoc.data();
-        if (paymentData.status === 'approved') {
-            return jsonResponse({ error: 'Already approved' }, 400);
-        }
-
+        const { payment: paymentData, creditsAdded: creditsToAdd } = result;
         const userEmail = paymentData.email;
-        const creditsToAdd = Math.floor(paymentData.amount);
-
-        // Update payment status
-        await paymentRef.update({
-            status: 'approved',
-            approvedBy: adminEmail || 'admin',
-            approvedAt: new Date().toISOString()
-        });
-
-        // Get current user credits and increment
-        const userRef = db.collection('users').doc(userEmail);
-        const userDoc = await userRef.get();
-        const currentCredits = userDoc.exists ? (userDoc.data().smsCredits || 0) : 0;
-
-        await userRef.set({
-            smsCredits: currentCredits + creditsToAdd,
-            lastPaymentDate: new Date().toISOString(),
-            subscriptionStatus: 'active'
-        }, { merge: true });
 
         const message = `
 ✅ <b>Payment Approved!</b>
@@ -161,51 +263,74 @@ async function approvePayment(request, db, env) {
 <b>User:</b> ${userEmail}
 <b>Amount:</b> $${paymentData.amount}
 <b>Credits Added:</b> ${creditsToAdd} SMS
-<b>Approved By:</b> ${adminEmail || 'admin'}
+<b>Approved By:</b> ${admin.email}
         `;
         sendTelegramNotification(message, env).catch(console.error);
 
         return jsonResponse({ success: true, message: 'Payment approved and credits added' });
     } catch (error) {
         console.error('Approve payment error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
 
-// --- Reject Payment ---
-async function rejectPayment(request, db, env) {
+// --- Verify Payment ---
+// Re-check a pending payment on chain, e.g. once it has enough confirmations
+async function reverifyPayment(request, db, env, admin) {
     if (request.method !== 'POST') {
         return jsonResponse({ error: 'Method not allowed' }, 405);
     }
 
     try {
         const body = await request.json();
-        const { paymentId, adminEmail } = body;
+        const { paymentId } = body;
 
         if (!paymentId) {
             return jsonResponse({ error: 'Payment ID required' }, 400);
         }
 
-        const paymentRef = db.collection('payments').doc(paymentId);
-        const paymentDoc = await paymentRef.get();
-
-        if (!paymentDoc.exists) {
-            return jsonResponse({ error: 'Payment not found' }, 404);
+        const result = await verifyPayment(db, env, paymentId);
+        if (result.error) {
+            return jsonResponse({ error: result.error }, result.status);
         }
 
-        const paymentData = paymentDoc.data();
-        if (paymentData.status === 'rejected') {
-            return jsonResponse({ error: 'Already rejected' }, 400);
-        }
-        if (paymentData.status === 'approved') {
-            return jsonResponse({ error: 'Cannot reject approved payment' }, 400);
-        }
+        console.log(`[Payment] ${paymentId} re-verified by ${admin.email}: ${result.verification.status}`);
+        notifyVerification(result, env).catch(console.error);
 
-        await paymentRef.update({
-            status: 'rejected',
-            rejectedBy: adminEmail || 'admin',
-            rejectedAt: new Date().toISOString()
+        return jsonResponse({
+            success: true,
+            approved: result.approved,
+            creditsAdded: result.creditsAdded,
+            verification: result.verification,
+            summary: describeVerification(result.verification)
         });
+    } catch (error) {
+        console.error('Verify payment error:', error);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
+    }
+}
+
+// --- Reject Payment ---
+async function rejectPayment(request, db, env, admin) {
+    if (request.method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    try {
+        const body = await request.json();
+        const { paymentId } = body;
+
+        if (!paymentId) {
+            return jsonResponse({ error: 'Payment ID required' }, 400);
+        }
+
+        const result = await rejectPaymentRecord(db, paymentId, { actor: admin.email });
+        if (result.error) {
+            return jsonResponse({ error: result.error }, result.status);
+        }
+        const paymentData = result.payment;
 
         const message = `
 ❌ <b>Payment Rejected</b>
@@ -213,14 +338,15 @@ async function rejectPayment(request, db, env) {
 <b>User:</b> ${paymentData.email}
 <b>Amount:</b> $${paymentData.amount}
 <b>TXID:</b> <code>${paymentData.txid}</code>
-<b>Rejected By:</b> ${adminEmail || 'admin'}
+<b>Rejected By:</b> ${admin.email}
         `;
         sendTelegramNotification(message, env).catch(console.error);
 
         return jsonResponse({ success: true, message: 'Payment rejected' });
     } catch (error) {
         console.error('Reject payment error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
 
@@ -249,15 +375,22 @@ async function deletePayment(request, db) {
         return jsonResponse({ success: true, message: 'Payment deleted' });
     } catch (error) {
         console.error('Delete payment error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
 
 // --- Get Pending Payments ---
-async function getPendingPayments(db) {
+async function getPendingPayments(db, url) {
     try {
+        // ?status=pending,rejected - defaults to pending only
+        const statuses = (url.searchParams.get('status') || 'pending').split(',').map(s => s.trim()).filter(Boolean);
+        if (statuses.length === 0 || statuses.some(s => !PAYMENT_STATUSES.includes(s))) {
+            return jsonResponse({ error: `status must be one of ${PAYMENT_STATUSES.join(', ')}` }, 400);
+        }
+
         const snapshot = await db.collection('payments')
-            .where('status', '==', 'pending')
+            .where('status', 'in', statuses)
             .get();
 
         const payments = [];
@@ -266,37 +399,24 @@ async function getPendingPayments(db) {
         });
 
         payments.sort((a, b) => {
-            const dateA = a.createdAt?.toDate ? a.createdAt.toDate().getTime() : new Date(a.createdAt || 0).getTime();
-            const dateB = b.createdAt?.toDate ? b.createdAt.toDate().getTime() : new Date(b.createdAt || 0).getTime();
-            return dateB - dateA;
+            return toMillis(b.createdAt) - toMillis(a.createdAt);
         });
 
         return jsonResponse({ success: true, payments });
     } catch (error) {
         console.error('Get pending payments error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
 
 // --- Get User Payments ---
-async function getUserPayments(request, db, method, url) {
+async function getUserPayments(db, method, userEmail) {
     if (method !== 'GET' && method !== 'POST') {
         return jsonResponse({ error: 'Method not allowed' }, 405);
     }
 
     try {
-        let userEmail;
-        if (method === 'POST') {
-            const body = await request.json();
-            userEmail = body.userEmail;
-        } else {
-            userEmail = url.searchParams.get('userEmail');
-        }
-
-        if (!userEmail) {
-            return jsonResponse({ error: 'Email required' }, 400);
-        }
-
         const snapshot = await db.collection('payments')
             .where('email', '==', userEmail)
             .get();
@@ -307,14 +427,61 @@ async function getUserPayments(request, db, method, url) {
         });
 
         payments.sort((a, b) => {
-            const dateA = a.createdAt?.toDate ? a.createdAt.toDate().getTime() : new Date(a.createdAt || 0).getTime();
-            const dateB = b.createdAt?.toDate ? b.createdAt.toDate().getTime() : new Date(b.createdAt || 0).getTime();
-            return dateB - dateA;
+            return toMillis(b.createdAt) - toMillis(a.createdAt);
         });
 
         return jsonResponse({ success: true, payments });
     } catch (error) {
         console.error('Get user payments error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
+    }
+}
+
+// --- Pricing ---
+// Public: the landing page and dashboard show packages and compute credits with it
+async function getPricingEndpoint(db, method) {
+    if (method !== 'GET' && method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    try {
+        return jsonResponse({ success: true, pricing: await getPricing(db) });
+    } catch (error) {
+        console.error('Get pricing error:', error);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
+    }
+}
+
+async function updatePricing(request, db, env, admin) {
+    if (request.method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    try {
+        const body = await request.json();
+        const result = await savePricing(db, body.pricing, admin.email);
+        if (result.error) {
+            return jsonResponse({ error: result.error }, result.status);
+        }
+
+        const { pricing } = result;
+        const discounts = pricing.discounts.map(d => `${d.discountPercent}% from $${d.minAmount}`).join(', ') || 'none';
+        sendTelegramNotification(`
+💲 <b>Pricing Updated</b>
+
+<b>Price per SMS:</b> $${pricing.pricePerCredit}
+<b>Minimum:</b> $${pricing.minimumAmount}
+<b>Packages:</b> ${pricing.packages.map(p => `${p.name} $${p.amount}`).join(', ') || 'none'}
+<b>Discounts:</b> ${discounts}
+<b>By:</b> ${admin.email}
+        `, env).catch(console.error);
+
+        return jsonResponse({ success: true, pricing });
+    } catch (error) {
+        console.error('Update pricing error:', error);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
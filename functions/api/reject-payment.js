@@ -1,22 +1,19 @@
 /**
  * Reject Payment API - Direct endpoint for Cloudflare Pages
  */
-import { initFirebase, getDb } from '../lib/firebase.js';
+import { initFirebase, getDb, errorResponseFor } from '../lib/firebase.js';
+import { requireAdmin } from '../lib/session.js';
+import { can } from '../lib/roles.js';
 import { sendTelegramNotification } from '../lib/telegram.js';
+import { rejectPaymentRecord } from '../lib/payments.js';
 
-const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-Requested-With',
+// CORS headers are added by _middleware.js (see lib/cors.js)
+const jsonHeaders = {
     'Content-Type': 'application/json'
 };
 
 function jsonResponse(data, status = 200) {
-    return new Response(JSON.stringify(data), { status, headers: corsHeaders });
-}
-
-export async function onRequestOptions() {
-    return new Response(null, { status: 200, headers: corsHeaders });
+    return new Response(JSON.stringify(data), { status, headers: jsonHeaders });
 }
 
 export async function onRequestPost(context) {
@@ -25,36 +22,33 @@ export async function onRequestPost(context) {
     const db = getDb();
 
     try {
+        const admin = await requireAdmin(request, env, db);
+        if (!admin) {
+            return jsonResponse({ error: 'Admin session required' }, 401);
+        }
+        if (!can(admin.role, 'payments:approve')) {
+            return jsonResponse({ error: 'Your admin role does not allow this action' }, 403);
+        }
+
         const body = await request.json();
-        const { paymentId, adminEmail } = body;
+        const { paymentId } = body;
 
         if (!paymentId) {
             return jsonResponse({ error: 'Payment ID required' }, 400);
         }
 
-        const paymentRef = db.collection('payments').doc(paymentId);
-        const paymentDoc = await paymentRef.get();
-
-        if (!paymentDoc.exists) {
-            return jsonResponse({ error: 'Payment not found' }, 404);
-        }
-
-        const paymentData = paymentDoc.data();
-        if (paymentData.status === 'rejected') {
-            return jsonResponse({ error: 'Already rejected' }, 400);
+        const result = await rejectPaymentRecord(db, paymentId, { actor: admin.email });
+        if (result.error) {
+            return jsonResponse({ error: result.error }, result.status);
         }
+        const paymentData = result.payment;
 
-        await paymentRef.update({
-            status: 'rejected',
-            rejectedBy: adminEmail || 'admin',
-            rejectedAt: new Date().toISOString()
-        });
-
-        sendTelegramNotification(`❌ Payment Rejected\n\nUser: ${paymentData.email}\nAmount: $${paymentData.amount}`, env).catch(console.error);
+        sendTelegramNotification(`❌ Payment Rejected\n\nUser: ${paymentData.email}\nAmount: $${paymentData.amount}\nRejected By: ${admin.email}`, env).catch(console.error);
 
         return jsonResponse({ success: true, message: 'Payment rejected' });
     } catch (error) {
         console.error('Reject payment error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
@@ -1,13 +1,12 @@
 /**
  * SMS API for Cloudflare Pages Functions
  */
-import { initFirebase, getDb, getAdmin } from '../lib/firebase.js';
+import { initFirebase, getDb, getAdmin, errorResponseFor, NotFoundError, InsufficientCreditsError } from '../lib/firebase.js';
+import { authenticateApiKey } from '../lib/api-keys.js';
+import { writeCreditChange } from '../lib/credits.js';
 
-// CORS headers
-const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-Requested-With',
+// CORS headers are added by _middleware.js (see lib/cors.js)
+const jsonHeaders = {
     'Content-Type': 'application/json'
 };
 
@@ -15,15 +14,10 @@ const corsHeaders = {
 function jsonResponse(data, status = 200) {
     return new Response(JSON.stringify(data), {
         status,
-        headers: corsHeaders
+        headers: jsonHeaders
     });
 }
 
-// Handle OPTIONS preflight
-export async function onRequestOptions() {
-    return new Response(null, { status: 200, headers: corsHeaders });
-}
-
 // Handle all other requests
 export async function onRequest(context) {
     const { request, env } = context;
@@ -38,39 +32,34 @@ export async function onRequest(context) {
     console.log(`SMS API called with action: ${action}`);
 
     try {
+        // Every action acts on the owner of the API key in the Authorization header
+        const apiKey = await authenticateApiKey(request, db);
+        if (!apiKey) {
+            return jsonResponse({ error: 'Valid API key required' }, 401);
+        }
+
         switch (action) {
             case 'check-sms-credits':
-                return await checkSmsCreditsEndpoint(request, db, method, url);
+                return await checkSmsCreditsEndpoint(db, method, apiKey.userEmail);
             case 'deduct-sms-credit':
-                return await deductSmsCreditEndpoint(request, db);
+                return await deductSmsCreditEndpoint(request, db, apiKey);
             default:
                 return jsonResponse({ error: 'Invalid action' }, 400);
         }
     } catch (error) {
         console.error('SMS API Error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
 
 // --- Check SMS Credits Endpoint ---
-async function checkSmsCreditsEndpoint(request, db, method, url) {
+async function checkSmsCreditsEndpoint(db, method, userEmail) {
     if (method !== 'GET' && method !== 'POST') {
         return jsonResponse({ error: 'Method not allowed' }, 405);
     }
 
     try {
-        let userEmail;
-        if (method === 'POST') {
-            const body = await request.json();
-            userEmail = body.userEmail;
-        } else {
-            userEmail = url.searchParams.get('userEmail');
-        }
-
-        if (!userEmail) {
-            return jsonResponse({ error: 'Email required' }, 400);
-        }
-
         const creditInfo = await checkSmsCreditsLogic(db, userEmail);
 
         return jsonResponse({
@@ -83,25 +72,20 @@ async function checkSmsCreditsEndpoint(request, db, method, url) {
         });
     } catch (error) {
         console.error('Check credits error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
 
 // --- Deduct SMS Credit Endpoint ---
-async function deductSmsCreditEndpoint(request, db) {
+async function deductSmsCreditEndpoint(request, db, apiKey) {
     if (request.method !== 'POST') {
         return jsonResponse({ error: 'Method not allowed' }, 405);
     }
 
+    const { userEmail } = apiKey;
     try {
-        const body = await request.json();
-        const { userEmail } = body;
-
-        if (!userEmail) {
-            return jsonResponse({ error: 'Email required' }, 400);
-        }
-
-        await deductSmsCredit(db, userEmail);
+        await deductSmsCredit(db, apiKey);
         const creditInfo = await checkSmsCreditsLogic(db, userEmail);
 
         return jsonResponse({
@@ -115,10 +99,8 @@ async function deductSmsCreditEndpoint(request, db) {
         });
     } catch (error) {
         console.error('Deduct credit error:', error);
-        return jsonResponse({
-            error: 'Internal server error',
-            details: error.message
-        }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse({ ...body, details: error.message }, status);
     }
 }
 
@@ -134,23 +116,26 @@ async function checkSmsCreditsLogic(db, userEmail) {
     return { hasCredits: credits > 0, creditsRemaining: credits };
 }
 
-async function deductSmsCredit(db, userEmail) {
+async function deductSmsCredit(db, { userEmail, keyId }) {
     const admin = getAdmin();
     const userRef = db.collection('users').doc(userEmail);
 
     await db.runTransaction(async (t) => {
         const doc = await t.get(userRef);
         if (!doc.exists) {
-            throw new Error("User does not exist!");
+            throw new NotFoundError('User does not exist', { code: 'NOT_FOUND' });
         }
 
-        const newCredits = (doc.data().smsCredits || 0) - 1;
-        if (newCredits < 0) {
-            throw new Error("Insufficient credits");
+        if ((doc.data().smsCredits || 0) < 1) {
+            throw new InsufficientCreditsError();
         }
 
-        t.update(userRef, {
-            smsCredits: newCredits,
+        writeCreditChange(t, db, doc, {
+            type: 'usage',
+            delta: -1,
+            actor: userEmail,
+            referenceId: keyId
+        }, {
             lastUsed: new Date().toISOString(),
             totalSent: admin.firestore.FieldValue.increment(1),
             thisMonthSent: admin.firestore.FieldValue.increment(1)
@@ -1,14 +1,19 @@
 /**
  * Telegram Webhook API for Cloudflare Pages Functions
  */
-import { initFirebase, getDb } from '../lib/firebase.js';
-import { sendTelegramNotification, sendPendingPaymentReminder } from '../lib/telegram.js';
-
-// CORS headers
-const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+import { initFirebase, getDb, FailedPreconditionError, Filter, errorResponseFor } from '../lib/firebase.js';
+import { sendTelegramNotification, sendPendingPaymentReminder, verifyWebhookSecret, setTelegramWebhook } from '../lib/telegram.js';
+import { requireAdmin } from '../lib/session.js';
+import { can, findAdminByTelegramId } from '../lib/roles.js';
+import { listAdmins, deactivateAdmin } from '../lib/admins.js';
+import { verifyPayment, describeVerification, notifyVerification } from '../lib/payment-verifier.js';
+import {
+    reconcileCredits, formatReconciliationReport, adjustCredits, notifyCreditAdjustment, ADJUSTMENT_REASONS
+} from '../lib/credits.js';
+import { approvePaymentRecord, rejectPaymentRecord } from '../lib/payments.js';
+
+// CORS headers are added by _middleware.js (see lib/cors.js)
+const jsonHeaders = {
     'Content-Type': 'application/json'
 };
 
@@ -16,24 +21,74 @@ const corsHeaders = {
 function jsonResponse(data, status = 200) {
     return new Response(JSON.stringify(data), {
         status,
-        headers: corsHeaders
+        headers: jsonHeaders
     });
 }
 
-// Handle OPTIONS preflight
-export async function onRequestOptions() {
-    return new Response(null, { status: 200, headers: corsHeaders });
-}
+// Permission each command needs (see lib/roles.js); null means any linked admin
+const COMMAND_PERMISSIONS = {
+    '/start': null,
+    '/help': null,
+    '/pending': 'payments:read',
+    '/pending_alert': 'payments:read',
+    '/users': 'users:read',
+    '/stats': 'payments:read',
+    '/monthly': 'payments:read',
+    '/reconcile': 'users:read',
+    '/credit': 'credits:adjust',
+    '/approve': 'payments:approve',
+    '/reject': 'payments:approve',
+    '/verify': 'payments:approve',
+    '/delete_payment': 'payments:delete',
+    '/delete_user': 'users:delete',
+    '/admins': 'admins:manage',
+    '/deactivate_admin': 'admins:manage'
+};
+
+// Same for inline buttons, matched by callback_data prefix
+const CALLBACK_PERMISSIONS = [
+    ['approve_', 'payments:approve'],
+    ['reject_', 'payments:approve'],
+    ['verify_', 'payments:approve'],
+    ['delete_payment_', 'payments:delete'],
+    ['delete_user_', 'users:delete'],
+    ['deactivate_admin_', 'admins:manage'],
+    ['list_users', 'users:read'],
+    ['list_pending', 'payments:read'],
+    ['show_stats', 'payments:read'],
+    ['show_monthly', 'payments:read']
+];
+
+// Processed update_ids are kept this long so a replayed update is ignored;
+// Telegram itself stops redelivering an update after 24 hours
+const UPDATE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
 
 // Handle POST requests
 export async function onRequestPost(context) {
     const { request, env } = context;
-
-    console.log('=== TELEGRAM WEBHOOK CALLED ===');
+    const url = new URL(request.url);
 
     initFirebase(env);
     const db = getDb();
 
+    // Owners register the webhook and its secret with POST ?action=set-webhook
+    if (url.searchParams.get('action') === 'set-webhook') {
+        return registerWebhook(request, db, env, url);
+    }
+
+    console.log('=== TELEGRAM WEBHOOK CALLED ===');
+
+    // Only Telegram knows the secret_token registered with setWebhook
+    if (!env.TELEGRAM_WEBHOOK_SECRET) {
+        console.error('TELEGRAM_WEBHOOK_SECRET is not set; rejecting update');
+        return jsonResponse({ error: 'Webhook not configured' }, 503);
+    }
+    if (!verifyWebhookSecret(request, env)) {
+        console.warn('[TelegramWebhook] Rejected update without a valid secret token');
+        return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    let claimedUpdateId = null;
     try {
         const update = await request.json();
         console.log('Webhook update:', JSON.stringify(update, null, 2));
@@ -41,6 +96,15 @@ export async function onRequestPost(context) {
         if (!update) {
             return jsonResponse({ error: 'No update provided' }, 400);
         }
+        if (!Number.isInteger(update.update_id)) {
+            return jsonResponse({ error: 'update_id is required' }, 400);
+        }
+
+        if (!(await claimUpdate(db, update.update_id))) {
+            console.log(`[TelegramWebhook] Ignoring duplicate update ${update.update_id}`);
+            return jsonResponse({ ok: true, duplicate: true });
+        }
+        claimedUpdateId = update.update_id;
 
         // Handle callback queries (button clicks)
         if (update.callback_query) {
@@ -62,10 +126,57 @@ export async function onRequestPost(context) {
         return jsonResponse({ ok: true });
     } catch (error) {
         console.error('Telegram webhook error:', error);
+        // Telegram retries failed deliveries; let the retry through
+        if (claimedUpdateId !== null) {
+            await db.collection('telegram_updates').doc(String(claimedUpdateId)).delete().catch(console.error);
+        }
         return jsonResponse({ error: 'Internal server error' }, 500);
     }
 }
 
+// Record an update_id as processed; false if it already was (a replay or redelivery)
+async function claimUpdate(db, updateId) {
+    const batch = db.batch();
+    batch.create(db.collection('telegram_updates').doc(String(updateId)), {
+        receivedAt: new Date(),
+        // expiresAt can back a Firestore TTL policy on telegram_updates
+        expiresAt: new Date(Date.now() + UPDATE_RETENTION_MS)
+    });
+    try {
+        await batch.commit();
+        return true;
+    } catch (error) {
+        if (error.code === 'ALREADY_EXISTS') return false;
+        throw error;
+    }
+}
+
+// Register this endpoint and TELEGRAM_WEBHOOK_SECRET with Telegram (owners only)
+async function registerWebhook(request, db, env, url) {
+    try {
+        const admin = await requireAdmin(request, env, db);
+        if (!admin) {
+            return jsonResponse({ error: 'Admin session required' }, 401);
+        }
+        if (!can(admin.role, 'admins:manage')) {
+            return jsonResponse({ error: 'Your admin role does not allow this action' }, 403);
+        }
+
+        const webhookUrl = `${url.origin}${url.pathname}`;
+        const result = await setTelegramWebhook(webhookUrl, env);
+        if (result.error) {
+            return jsonResponse({ error: result.error }, result.status);
+        }
+
+        console.log(`[TelegramWebhook] Webhook registered by ${admin.email}`);
+        return jsonResponse({ success: true, url: webhookUrl, description: result.description });
+    } catch (error) {
+        console.error('Set webhook error:', error);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
+    }
+}
+
 // Handle callback queries (button clicks)
 async function handleCallbackQuery(callbackQuery, db, env) {
     const { data, message } = callbackQuery;
@@ -78,18 +189,36 @@ async function handleCallbackQuery(callbackQuery, db, env) {
     }
 
     try {
+        // The button presser must be a linked admin whose role allows the action
+        const admin = await findAdminByTelegramId(db, callbackQuery.from.id);
+        if (!admin) {
+            await answerCallbackQuery(callbackQuery.id, "❌ Your Telegram account isn't linked to an admin", env);
+            return;
+        }
+        const [, permission] = CALLBACK_PERMISSIONS.find(([prefix]) => data.startsWith(prefix)) || [];
+        if (permission && !can(admin.role, permission)) {
+            await answerCallbackQuery(callbackQuery.id, `❌ Not allowed for role: ${admin.role}`, env);
+            return;
+        }
+
         if (data.startsWith('approve_')) {
             const paymentId = data.replace('approve_', '');
-            await approvePaymentFromTelegram(paymentId, db, env, callbackQuery.id);
+            await approvePaymentFromTelegram(paymentId, admin, db, env, callbackQuery.id);
         } else if (data.startsWith('reject_')) {
             const paymentId = data.replace('reject_', '');
-            await rejectPaymentFromTelegram(paymentId, db, env, callbackQuery.id);
+            await rejectPaymentFromTelegram(paymentId, admin, db, env, callbackQuery.id);
+        } else if (data.startsWith('verify_')) {
+            const paymentId = data.replace('verify_', '');
+            await verifyPaymentFromTelegram(paymentId, admin, db, env, callbackQuery.id);
         } else if (data.startsWith('delete_payment_')) {
             const paymentId = data.replace('delete_payment_', '');
             await deletePaymentFromTelegram(paymentId, db, env, callbackQuery.id);
         } else if (data.startsWith('delete_user_')) {
             const userEmail = decodeURIComponent(data.replace('delete_user_', ''));
             await deleteUserFromTelegram(userEmail, db, env, callbackQuery.id);
+        } else if (data.startsWith('deactivate_admin_')) {
+            const adminEmail = decodeURIComponent(data.replace('deactivate_admin_', ''));
+            await deactivateAdminFromTelegram(adminEmail, admin, db, env, callbackQuery.id);
         } else if (data === 'list_users') {
             await listUsersFromTelegram(db, env, callbackQuery.id);
         } else if (data === 'list_pending') {
@@ -121,6 +250,23 @@ async function handleCommand(message, db, env) {
     }
 
     try {
+        // Each sender maps to an admin through telegramChatId on their admin document;
+        // in a private chat with the bot that is the chat id
+        const telegramId = (message.from || chat).id;
+        const admin = await findAdminByTelegramId(db, telegramId);
+        if (!admin) {
+            await sendTelegramNotification(
+                `❌ This Telegram account isn't linked to an admin. Set <code>telegramChatId</code> to <code>${telegramId}</code> on your admin document.`,
+                env
+            );
+            return;
+        }
+        const permission = COMMAND_PERMISSIONS[command];
+        if (permission && !can(admin.role, permission)) {
+            await sendTelegramNotification(`❌ Your role (${admin.role}) can't use ${command}`, env);
+            return;
+        }
+
         switch (command) {
             case '/start':
             case '/help':
@@ -144,15 +290,23 @@ async function handleCommand(message, db, env) {
             case '/approve':
                 const approveId = text.split(' ')[1];
                 if (approveId) {
-                    await approvePaymentFromTelegram(approveId, db, env);
+                    await approvePaymentFromTelegram(approveId, admin, db, env);
                 } else {
                     await sendTelegramNotification("❌ Usage: /approve <payment_id>", env);
                 }
                 break;
+            case '/verify':
+                const verifyId = text.split(' ')[1];
+                if (verifyId) {
+                    await verifyPaymentFromTelegram(verifyId, admin, db, env);
+                } else {
+                    await sendTelegramNotification("❌ Usage: /verify <payment_id>", env);
+                }
+                break;
             case '/reject':
                 const rejectId = text.split(' ')[1];
                 if (rejectId) {
-                    await rejectPaymentFromTelegram(rejectId, db, env);
+                    await rejectPaymentFromTelegram(rejectId, admin, db, env);
                 } else {
                     await sendTelegramNotification("❌ Usage: /reject <payment_id>", env);
                 }
@@ -173,6 +327,29 @@ async function handleCommand(message, db, env) {
                     await sendTelegramNotification("❌ Usage: /delete_user <email>", env);
                 }
                 break;
+            case '/credit':
+                // /credit <email> <+/-n> <reason> [note...]
+                const [, creditEmail, creditDelta, creditReason, ...creditNote] = text.trim().split(/\s+/);
+                if (creditEmail && /^[+-]?\d+$/.test(creditDelta || '') && creditReason) {
+                    await adjustCreditsFromTelegram(creditEmail, parseInt(creditDelta, 10), creditReason.toLowerCase(), creditNote.join(' '), admin, db, env);
+                } else {
+                    await sendTelegramNotification(`❌ Usage: /credit &lt;email&gt; &lt;+/-n&gt; &lt;reason&gt; [note]\nReasons: ${ADJUSTMENT_REASONS.join(', ')}`, env);
+                }
+                break;
+            case '/reconcile':
+                await sendTelegramNotification(formatReconciliationReport(await reconcileCredits(db)), env);
+                break;
+            case '/admins':
+                await listAdminsFromTelegram(db, env);
+                break;
+            case '/deactivate_admin':
+                const adminEmail = text.split(' ')[1];
+                if (adminEmail) {
+                    await deactivateAdminFromTelegram(adminEmail, admin, db, env);
+                } else {
+                    await sendTelegramNotification("❌ Usage: /deactivate_admin <email>", env);
+                }
+                break;
             default:
                 await sendTelegramNotification("❌ Unknown command. Use /help", env);
         }
@@ -183,42 +360,16 @@ async function handleCommand(message, db, env) {
 }
 
 // Approve payment from Telegram
-async function approvePaymentFromTelegram(paymentId, db, env, callbackQueryId = null) {
+async function approvePaymentFromTelegram(paymentId, admin, db, env, callbackQueryId = null) {
     try {
-        const paymentRef = db.collection('payments').doc(paymentId);
-        const paymentDoc = await paymentRef.get();
-
-        if (!paymentDoc.exists) {
-            await answerCallbackQuery(callbackQueryId, "❌ Payment not found", env);
-            return;
-        }
-
-        const paymentData = paymentDoc.data();
-        if (paymentData.status === 'approved') {
-            await answerCallbackQuery(callbackQueryId, "⚠️ Already approved", env);
+        const result = await approvePaymentRecord(db, paymentId, { actor: admin.email, via: 'telegram' });
+        if (result.error) {
+            await answerCallbackQuery(callbackQueryId, `⚠️ ${result.error}`, env);
+            await sendTelegramNotification(`⚠️ ${result.error}`, env);
             return;
         }
-
+        const { payment: paymentData, creditsAdded: creditsToAdd } = result;
         const userEmail = paymentData.email;
-        const creditsToAdd = Math.floor(paymentData.amount);
-
-        // Update payment status
-        await paymentRef.update({
-            status: 'approved',
-            approvedBy: 'telegram_admin',
-            approvedAt: new Date().toISOString()
-        });
-
-        // Get current credits and increment
-        const userRef = db.collection('users').doc(userEmail);
-        const userDoc = await userRef.get();
-        const currentCredits = userDoc.exists ? (userDoc.data().smsCredits || 0) : 0;
-
-        await userRef.set({
-            smsCredits: currentCredits + creditsToAdd,
-            lastPaymentDate: new Date().toISOString(),
-            subscriptionStatus: 'active'
-        }, { merge: true });
 
         await answerCallbackQuery(callbackQueryId, "✅ Payment approved!", env);
         await sendTelegramNotification(`
@@ -227,35 +378,30 @@ async function approvePaymentFromTelegram(paymentId, db, env, callbackQueryId =
 <b>User:</b> ${userEmail}
 <b>Amount:</b> $${paymentData.amount}
 <b>Credits Added:</b> ${creditsToAdd} SMS
+<b>Approved By:</b> ${admin.email}
         `, env);
     } catch (error) {
         console.error('Error approving payment:', error);
+        if (error instanceof FailedPreconditionError) {
+            await answerCallbackQuery(callbackQueryId, "⚠️ Payment changed meanwhile, try again", env);
+            await sendTelegramNotification("⚠️ Payment changed meanwhile, try again", env);
+            return;
+        }
         await answerCallbackQuery(callbackQueryId, "❌ Error approving", env);
+        await sendTelegramNotification("❌ Error approving payment", env);
     }
 }
 
 // Reject payment from Telegram
-async function rejectPaymentFromTelegram(paymentId, db, env, callbackQueryId = null) {
+async function rejectPaymentFromTelegram(paymentId, admin, db, env, callbackQueryId = null) {
     try {
-        const paymentRef = db.collection('payments').doc(paymentId);
-        const paymentDoc = await paymentRef.get();
-
-        if (!paymentDoc.exists) {
-            await answerCallbackQuery(callbackQueryId, "❌ Payment not found", env);
+        const result = await rejectPaymentRecord(db, paymentId, { actor: admin.email, via: 'telegram' });
+        if (result.error) {
+            await answerCallbackQuery(callbackQueryId, `⚠️ ${result.error}`, env);
+            await sendTelegramNotification(`⚠️ ${result.error}`, env);
             return;
         }
-
-        const paymentData = paymentDoc.data();
-        if (paymentData.status === 'rejected') {
-            await answerCallbackQuery(callbackQueryId, "⚠️ Already rejected", env);
-            return;
-        }
-
-        await paymentRef.update({
-            status: 'rejected',
-            rejectedBy: 'telegram_admin',
-            rejectedAt: new Date().toISOString()
-        });
+        const paymentData = result.payment;
 
         await answerCallbackQuery(callbackQueryId, "❌ Payment rejected", env);
         await sendTelegramNotification(`
@@ -263,10 +409,17 @@ async function rejectPaymentFromTelegram(paymentId, db, env, callbackQueryId = n
 
 <b>User:</b> ${paymentData.email}
 <b>Amount:</b> $${paymentData.amount}
+<b>Rejected By:</b> ${admin.email}
         `, env);
     } catch (error) {
         console.error('Error rejecting payment:', error);
+        if (error instanceof FailedPreconditionError) {
+            await answerCallbackQuery(callbackQueryId, "⚠️ Payment changed meanwhile, try again", env);
+            await sendTelegramNotification("⚠️ Payment changed meanwhile, try again", env);
+            return;
+        }
         await answerCallbackQuery(callbackQueryId, "❌ Error rejecting", env);
+        await sendTelegramNotification("❌ Error rejecting payment", env);
     }
 }
 
@@ -310,6 +463,87 @@ async function deleteUserFromTelegram(userEmail, db, env, callbackQueryId = null
     }
 }
 
+// List admins (owners only)
+async function listAdminsFromTelegram(db, env) {
+    try {
+        const admins = await listAdmins(db);
+
+        let message = `🛡️ <b>Admins (${admins.length})</b>\n\n`;
+        const buttons = [];
+
+        admins.forEach((a, i) => {
+            const flags = [a.active ? '✅ active' : '⛔ inactive', a.totpEnabled ? '2FA' : null, a.telegramLinked ? 'Telegram' : null]
+                .filter(Boolean).join(' | ');
+            message += `${i + 1}. <b>${a.email}</b> (${a.role})\n   ${flags}\n\n`;
+            if (a.active) {
+                buttons.push([{ text: `⛔ ${a.email.split('@')[0]}`, callback_data: `deactivate_admin_${encodeURIComponent(a.email)}` }]);
+            }
+        });
+
+        await sendTelegramNotification(message, env, { inlineKeyboard: buttons });
+    } catch (error) {
+        console.error('Error listing admins:', error);
+        await sendTelegramNotification("❌ Error fetching admins", env);
+    }
+}
+
+// Deactivate an admin from Telegram (owners only)
+async function deactivateAdminFromTelegram(adminEmail, admin, db, env, callbackQueryId = null) {
+    try {
+        const result = await deactivateAdmin(db, adminEmail, admin.email);
+        if (result.error) {
+            await answerCallbackQuery(callbackQueryId, `❌ ${result.error}`, env);
+            await sendTelegramNotification(`❌ ${result.error}`, env);
+            return;
+        }
+
+        await answerCallbackQuery(callbackQueryId, "⛔ Admin deactivated", env);
+        await sendTelegramNotification(`⛔ <b>Admin Deactivated:</b> ${adminEmail}\n<b>By:</b> ${admin.email}`, env);
+    } catch (error) {
+        console.error('Error deactivating admin:', error);
+        await answerCallbackQuery(callbackQueryId, "❌ Error deactivating", env);
+    }
+}
+
+// Give or take credits by hand (see lib/credits.js)
+async function adjustCreditsFromTelegram(email, delta, reason, note, admin, db, env) {
+    try {
+        const result = await adjustCredits(db, { email, delta, reason, note, actor: admin.email });
+        if (result.error) {
+            await sendTelegramNotification(`❌ ${result.error}`, env);
+            return;
+        }
+
+        await notifyCreditAdjustment(result, env, 'Telegram');
+    } catch (error) {
+        console.error('Error adjusting credits:', error);
+        await sendTelegramNotification("❌ Error adjusting credits", env);
+    }
+}
+
+// Re-check a pending payment on chain (see lib/payment-verifier.js)
+async function verifyPaymentFromTelegram(paymentId, admin, db, env, callbackQueryId = null) {
+    try {
+        const result = await verifyPayment(db, env, paymentId);
+        if (result.error) {
+            await answerCallbackQuery(callbackQueryId, `❌ ${result.error}`, env);
+            await sendTelegramNotification(`❌ ${result.error}`, env);
+            return;
+        }
+
+        console.log(`[Telegram] ${paymentId} re-verified by ${admin.email}: ${result.verification.status}`);
+        await answerCallbackQuery(callbackQueryId, result.approved ? "✅ Verified and approved" : "🔍 Checked", env);
+        if (result.approved || result.verification.status === 'mismatch') {
+            await notifyVerification(result, env);
+        } else {
+            await sendTelegramNotification(`🔍 <b>Payment</b> <code>${paymentId}</code>\n${describeVerification(result.verification)}`, env);
+        }
+    } catch (error) {
+        console.error('Error verifying payment:', error);
+        await answerCallbackQuery(callbackQueryId, "❌ Error verifying", env);
+    }
+}
+
 // List pending payments
 async function listPendingPayments(db, env) {
     try {
@@ -333,7 +567,12 @@ async function listPendingPayments(db, env) {
             const emailShort = (data.email || 'Unknown').split('@')[0];
 
             message += `${i}. <b>$${data.amount}</b> - ${data.email}\n`;
-            message += `   TXID: <code>${data.txid}</code>\n\n`;
+            message += `   TXID: <code>${data.txid}</code>\n`;
+            message += `   On-chain: ${describeVerification(data.verification)}\n`;
+            if (data.fraudWarning) {
+                message += `   🚨 TXID reused (${(data.txidReuseAttempts || []).length} attempts)\n`;
+            }
+            message += '\n';
 
             buttons.push([
                 { text: `✅ ${emailShort}`, callback_data: `approve_${paymentId}` },
@@ -407,31 +646,25 @@ async function listUsersFromTelegram(db, env, callbackQueryId = null) {
 // Send stats
 async function sendStats(db, env) {
     try {
-        const usersSnapshot = await db.collection('users').get();
-        const paymentsSnapshot = await db.collection('payments').get();
+        const users = db.collection('users');
+        const payments = db.collection('payments');
 
-        let totalRevenue = 0, pending = 0, approved = 0, totalCredits = 0;
-
-        paymentsSnapshot.forEach(doc => {
-            const data = doc.data();
-            if (data.status === 'approved') {
-                totalRevenue += data.amount;
-                approved++;
-            } else if (data.status === 'pending') {
-                pending++;
-            }
-        });
+        // Aggregated server-side so the cost doesn't grow with the collections
+        const [userTotals, approvedTotals, pending] = await Promise.all([
+            users.aggregate({ count: { count: true }, credits: { sum: 'smsCredits' } }),
+            payments.where('status', '==', 'approved').aggregate({ count: { count: true }, revenue: { sum: 'amount' } }),
+            payments.where('status', '==', 'pending').count()
+        ]);
 
-        usersSnapshot.forEach(doc => {
-            totalCredits += doc.data().smsCredits || 0;
-        });
+        const totalRevenue = approvedTotals.revenue || 0;
+        const totalCredits = userTotals.credits || 0;
 
         await sendTelegramNotification(`
 📊 <b>Statistics</b>
 
-👥 Users: ${usersSnapshot.size}
+👥 Users: ${userTotals.count || 0}
 💰 Revenue: $${totalRevenue.toFixed(2)}
-✅ Approved: ${approved}
+✅ Approved: ${approvedTotals.count || 0}
 ⏳ Pending: ${pending}
 💳 Credits: ${totalCredits} SMS
         `, env);
@@ -448,26 +681,29 @@ async function sendMonthlyReport(db, env) {
         const firstDay = new Date(now.getFullYear(), now.getMonth(), 1);
         const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
 
-        const usersSnapshot = await db.collection('users').get();
-        const paymentsSnapshot = await db.collection('payments').get();
-
-        let revenue = 0, payments = 0, newUsers = 0;
-
-        paymentsSnapshot.forEach(doc => {
-            const data = doc.data();
-            const date = data.createdAt ? new Date(data.createdAt) : null;
-            if (date && date >= firstDay && date <= lastDay && data.status === 'approved') {
-                revenue += data.amount;
-                payments++;
-            }
-        });
-
-        usersSnapshot.forEach(doc => {
-            const data = doc.data();
-            const date = data.createdAt ? new Date(data.createdAt) : null;
-            if (date && date >= firstDay && date <= lastDay) newUsers++;
-        });
-
+        // User createdAt is an ISO string, so that range compares lexically
+        const from = firstDay.toISOString();
+        const to = lastDay.toISOString();
+
+        // Payment createdAt is a timestamp; payments from before that change
+        // still hold ISO strings and are matched by the second range
+        const inMonth = Filter.or(
+            Filter.and(Filter.where('createdAt', '>=', firstDay), Filter.where('createdAt', '<=', lastDay)),
+            Filter.and(Filter.where('createdAt', '>=', from), Filter.where('createdAt', '<=', to))
+        );
+
+        const [monthPayments, newUsers] = await Promise.all([
+            db.collection('payments')
+                .where('status', '==', 'approved')
+                .where(inMonth)
+                .aggregate({ count: { count: true }, revenue: { sum: 'amount' } }),
+            db.collection('users')
+                .where('createdAt', '>=', from)
+                .where('createdAt', '<=', to)
+                .count()
+        ]);
+
+        const revenue = monthPayments.revenue || 0;
         const month = now.toLocaleString('default', { month: 'long', year: 'numeric' });
 
         await sendTelegramNotification(`
@@ -475,7 +711,7 @@ async function sendMonthlyReport(db, env) {
 
 👥 New users: ${newUsers}
 💰 Revenue: $${revenue.toFixed(2)}
-💳 Payments: ${payments}
+💳 Payments: ${monthPayments.count || 0}
         `, env);
     } catch (error) {
         console.error('Error:', error);
@@ -490,9 +726,14 @@ async function sendHelpMessage(env) {
 
 <b>Commands:</b>
 /pending - List pending payments
+/verify &lt;payment_id&gt; - Re-check a payment on chain
 /users - List users
 /stats - Statistics
 /monthly - Monthly report
+/reconcile - Check balances against the credit ledger
+/credit &lt;email&gt; &lt;+/-n&gt; &lt;reason&gt; [note] - Adjust credits (owners)
+/admins - List admins (owners)
+/deactivate_admin &lt;email&gt; - Deactivate an admin (owners)
 /help - Show this message
     `;
 
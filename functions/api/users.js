@@ -1,15 +1,23 @@
 /**
  * Users API for Cloudflare Pages Functions
  */
-import { initFirebase, getDb } from '../lib/firebase.js';
-import { verifyPassword } from '../lib/password.js';
+import { initFirebase, getDb, errorResponseFor, MAX_DISJUNCTION_VALUES } from '../lib/firebase.js';
 import { sendTelegramNotification } from '../lib/telegram.js';
-
-// CORS headers
-const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-Requested-With',
+import { createRateLimiter, clientIp, USER_LOOKUP_POLICY, LOGIN_CODE_POLICY, LOGIN_CODE_EMAIL_POLICY, LOGIN_VERIFY_POLICY } from '../lib/rate-limit.js';
+import { can } from '../lib/roles.js';
+import { requireAdmin, createUserSession, requireUser } from '../lib/session.js';
+import { loginAdmin } from '../lib/admin-login.js';
+import { issueLoginCode, consumeLoginCode } from '../lib/login-codes.js';
+import { sendMail, isMailConfigured } from '../lib/mailer.js';
+import { listApiKeys, createApiKey, labelApiKey, rotateApiKey, revokeApiKey } from '../lib/api-keys.js';
+import { listAdmins, createAdmin, deactivateAdmin, reactivateAdmin, resetAdminPassword } from '../lib/admins.js';
+import { reconcileCredits, formatReconciliationReport, adjustCredits, notifyCreditAdjustment, getCreditHistory } from '../lib/credits.js';
+import {
+    getTwoFactorStatus, startTwoFactorSetup, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes
+} from '../lib/totp.js';
+
+// CORS headers are added by _middleware.js (see lib/cors.js)
+const jsonHeaders = {
     'Content-Type': 'application/json'
 };
 
@@ -17,14 +25,33 @@ const corsHeaders = {
 function jsonResponse(data, status = 200) {
     return new Response(JSON.stringify(data), {
         status,
-        headers: corsHeaders
+        headers: jsonHeaders
     });
 }
 
-// Handle OPTIONS preflight
-export async function onRequestOptions() {
-    return new Response(null, { status: 200, headers: corsHeaders });
-}
+// Actions that need a signed admin session (see lib/session.js), with the
+// permission each needs (see lib/roles.js); null means any admin
+export const ADMIN_ACTIONS = {
+    'get-all-users': 'users:read',
+    'delete-user': 'users:delete',
+    'reconcile-credits': 'users:read',
+    'adjust-credits': 'credits:adjust',
+    'list-admins': 'admins:manage',
+    'create-admin': 'admins:manage',
+    'invite-admin': 'admins:manage',
+    'deactivate-admin': 'admins:manage',
+    'reactivate-admin': 'admins:manage',
+    'reset-admin-password': 'admins:manage',
+    // Two-factor settings are the admin's own
+    'totp-status': null,
+    'totp-setup': null,
+    'totp-enable': null,
+    'totp-disable': null,
+    'totp-recovery-codes': null
+};
+
+// Actions on the logged-in user's own data; the email comes from the user session
+const USER_ACTIONS = ['get-user-data', 'list-api-keys', 'create-api-key', 'label-api-key', 'rotate-api-key', 'revoke-api-key'];
 
 // Handle all other requests
 export async function onRequest(context) {
@@ -41,31 +68,74 @@ export async function onRequest(context) {
     console.log(`Users API called with action: ${action}`);
 
     try {
+        let admin = null;
+        if (Object.hasOwn(ADMIN_ACTIONS, action)) {
+            admin = await requireAdmin(request, env, db);
+            if (!admin) {
+                return jsonResponse({ error: 'Admin session required' }, 401);
+            }
+            if (ADMIN_ACTIONS[action] && !can(admin.role, ADMIN_ACTIONS[action])) {
+                return jsonResponse({ error: 'Your admin role does not allow this action' }, 403);
+            }
+        }
+
+        let userEmail = null;
+        if (USER_ACTIONS.includes(action)) {
+            userEmail = await requireUser(request, env);
+            if (!userEmail) {
+                return jsonResponse({ error: 'Login required' }, 401);
+            }
+        }
+
         switch (action) {
             case 'register-main-app-user':
                 return await registerMainAppUser(request, db, env);
             case 'validate-user':
-                return await validateUser(request, db);
+                return await validateUser(request, db, env);
+            case 'request-login-code':
+                return await requestLoginCode(request, db, env, url);
+            case 'verify-login-code':
+                return await verifyLoginCode(request, db, env);
             case 'get-user-data':
-                return await getUserData(request, db, method, url);
+                return await getUserData(db, method, userEmail);
+            case 'list-api-keys':
+            case 'create-api-key':
+            case 'label-api-key':
+            case 'rotate-api-key':
+            case 'revoke-api-key':
+                return await manageApiKeys(request, db, action, userEmail);
             case 'get-all-users':
-                return await getAllUsers(db);
+                return await getAllUsers(db, url);
             case 'check-admin':
                 return await checkAdmin(request, db, method, url);
             case 'admin-login':
-                return await adminLogin(request, db);
+                return await adminLogin(request, db, env);
             case 'delete-user':
                 return await deleteUser(request, db);
+            case 'reconcile-credits':
+                return await reconcileCreditsEndpoint(db, env, method);
+            case 'adjust-credits':
+                return await adjustCreditsEndpoint(request, db, env, admin);
+            case 'list-admins':
+            case 'create-admin':
+            case 'invite-admin':
+            case 'deactivate-admin':
+            case 'reactivate-admin':
+            case 'reset-admin-password':
+                return await manageAdmins(request, db, env, url, action, admin);
+            case 'totp-status':
+            case 'totp-setup':
+            case 'totp-enable':
+            case 'totp-disable':
+            case 'totp-recovery-codes':
+                return await manageTwoFactor(request, db, action, admin);
             default:
                 return jsonResponse({ error: 'Invalid action' }, 400);
         }
     } catch (error) {
         console.error('API Error:', error);
-        return jsonResponse({
-            error: 'Internal server error',
-            message: error.message,
-            stack: error.stack
-        }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse({ ...body, message: error.message }, status);
     }
 }
 
@@ -101,18 +171,19 @@ async function registerMainAppUser(request, db, env) {
 
         // Check for duplicate name (only if a name is provided)
         if (fullName && fullName.trim()) {
-            const usersSnapshot = await db.collection('users').get();
             let duplicateNameUser = null;
 
-            usersSnapshot.forEach(doc => {
+            // Walk every page of users; stops as soon as a match is found
+            for await (const doc of db.collection('users')) {
                 if (doc.id !== email) { // Don't check against self
                     const userData = doc.data();
                     const existingFullName = [userData.firstName || '', userData.lastName || ''].filter(Boolean).join(' ');
                     if (existingFullName.toLowerCase() === fullName.toLowerCase()) {
                         duplicateNameUser = doc.id;
+                        break;
                     }
                 }
-            });
+            }
 
             if (duplicateNameUser) {
                 return jsonResponse({
@@ -171,12 +242,13 @@ async function registerMainAppUser(request, db, env) {
         });
     } catch (error) {
         console.error('Registration error:', error);
-        return jsonResponse({ error: 'Internal server error', message: error.message }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse({ ...body, message: error.message }, status);
     }
 }
 
 // --- Validate User ---
-async function validateUser(request, db) {
+async function validateUser(request, db, env) {
     if (request.method !== 'POST') {
         return jsonResponse({ error: 'Method not allowed' }, 405);
     }
@@ -189,6 +261,14 @@ async function validateUser(request, db) {
             return jsonResponse({ error: 'Email is required' }, 400);
         }
 
+        // Lookups that find nothing are counted, so this can't be used to enumerate emails
+        const limiter = createRateLimiter(env, db, USER_LOOKUP_POLICY);
+        const attemptKeys = [`ip:${clientIp(request)}`, `account:${String(email).toLowerCase()}`];
+        const blocked = await limiter.check(attemptKeys);
+        if (blocked) {
+            return jsonResponse({ error: blocked.error, retryAfter: blocked.retryAfter }, blocked.status);
+        }
+
         console.log('[ValidateUser] Checking email:', email);
 
         // First try: document ID is the email
@@ -209,53 +289,236 @@ async function validateUser(request, db) {
         }
 
         console.log('[ValidateUser] User not found:', email);
+        await limiter.recordFailure(attemptKeys);
         return jsonResponse({ success: true, valid: false });
     } catch (error) {
         console.error('Validation error:', error);
-        return jsonResponse({ error: 'Internal server error', message: error.message }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse({ ...body, message: error.message }, status);
     }
 }
 
-// --- Get User Data ---
-async function getUserData(request, db, method, url) {
-    if (method !== 'GET' && method !== 'POST') {
+// --- Request Login Code ---
+// Emails a one-time code plus a magic link that fills it in on login.html.
+// The response is the same whether or not the account exists.
+async function requestLoginCode(request, db, env, url) {
+    if (request.method !== 'POST') {
         return jsonResponse({ error: 'Method not allowed' }, 405);
     }
 
     try {
-        let userEmail;
-        if (method === 'POST') {
-            const body = await request.json();
-            userEmail = body.userEmail;
-        } else {
-            userEmail = url.searchParams.get('userEmail');
-        }
+        const body = await request.json();
+        const email = (body.email || '').trim();
 
-        if (!userEmail) {
+        if (!email) {
             return jsonResponse({ error: 'Email is required' }, 400);
         }
+        // Checked up front so known and unknown emails still get the same answer
+        if (!isMailConfigured(env)) {
+            console.error('[Login] MAIL_TRANSPORT is not set; login codes cannot be sent');
+            return jsonResponse({ error: 'Email delivery is not configured' }, 500);
+        }
+
+        // Sends are throttled per IP and, more gently, per email; neither touches
+        // the account's verify-login-code counter, so requests can't lock anyone out
+        const ipLimiter = createRateLimiter(env, db, LOGIN_CODE_POLICY);
+        const emailLimiter = createRateLimiter(env, db, LOGIN_CODE_EMAIL_POLICY);
+        const ipKeys = [`ip:${clientIp(request)}`];
+        const emailKeys = [`email:${email.toLowerCase()}`];
+        const blocked = await ipLimiter.check(ipKeys) || await emailLimiter.check(emailKeys);
+        if (blocked) {
+            return jsonResponse({ error: blocked.error, retryAfter: blocked.retryAfter }, blocked.status);
+        }
+        await ipLimiter.recordFailure(ipKeys);
+        await emailLimiter.recordFailure(emailKeys);
+
+        const sent = { success: true, message: 'If an account exists for this email, a login code has been sent to it.' };
+
+        const userDoc = await db.collection('users').doc(email).get();
+        if (!userDoc.exists) {
+            console.log('[Login] Login code requested for unknown email:', email);
+            return jsonResponse(sent);
+        }
+
+        // A code sent within the last minute is still valid; telling the caller would reveal the account
+        const result = await issueLoginCode(db, email);
+        if (result.error) {
+            console.log('[Login] Login code not sent:', email, result.error);
+            return jsonResponse(sent);
+        }
+
+        const link = `${url.origin}/login.html?email=${encodeURIComponent(email)}&code=${result.code}`;
+        await sendMail({
+            to: email,
+            subject: 'Your SMS dashboard login code',
+            text: `Your login code is ${result.code}\n\nOr open this link to log in:\n${link}\n\nThe code expires in 10 minutes. If you did not request it, you can ignore this email.`
+        }, env);
+
+        console.log('[Login] Sent login code to:', email);
+        return jsonResponse(sent);
+    } catch (error) {
+        console.error('Request login code error:', error);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
+    }
+}
+
+// --- Verify Login Code ---
+async function verifyLoginCode(request, db, env) {
+    if (request.method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    try {
+        const body = await request.json();
+        const email = (body.email || '').trim();
+
+        if (!email || !body.code) {
+            return jsonResponse({ error: 'Email and code are required' }, 400);
+        }
+
+        const limiter = createRateLimiter(env, db, LOGIN_VERIFY_POLICY);
+        const attemptKeys = [`ip:${clientIp(request)}`, `account:${email.toLowerCase()}`];
+        const blocked = await limiter.check(attemptKeys);
+        if (blocked) {
+            return jsonResponse({ error: blocked.error, retryAfter: blocked.retryAfter }, blocked.status);
+        }
+
+        const result = await consumeLoginCode(db, email, body.code);
+        if (result.error) {
+            // Only wrong codes count; a missing or expired code isn't a guess
+            if (result.status === 401 || result.status === 429) {
+                await limiter.recordFailure(attemptKeys);
+            }
+            return jsonResponse({ error: result.error }, result.status);
+        }
+        await limiter.reset([attemptKeys[1]]);
+
+        const session = await createUserSession(email, env);
+        console.log('[Login] User logged in:', email);
+
+        return jsonResponse({ success: true, email, token: session.token, expiresAt: session.expiresAt });
+    } catch (error) {
+        console.error('Verify login code error:', error);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
+    }
+}
+
+// --- Get User Data ---
+// Returns the logged-in user's own record (email from the user session)
+async function getUserData(db, method, userEmail) {
+    if (method !== 'GET' && method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    try {
 
         const doc = await db.collection('users').doc(userEmail).get();
         if (!doc.exists) {
             return jsonResponse({ error: 'User not found' }, 404);
         }
 
-        return jsonResponse({ success: true, user: doc.data() });
+        // Purchases, refunds and adjustments for the dashboard's activity list
+        const creditHistory = await getCreditHistory(db, userEmail);
+        return jsonResponse({ success: true, user: { ...doc.data(), creditHistory } });
     } catch (error) {
         console.error('Get user data error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
+    }
+}
+
+// --- API Keys ---
+// Keys authenticate the main app against the SMS credit endpoints (see lib/api-keys.js)
+async function manageApiKeys(request, db, action, userEmail) {
+    if (action === 'list-api-keys') {
+        return jsonResponse({ success: true, apiKeys: await listApiKeys(db, userEmail) });
+    }
+
+    if (request.method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    try {
+        const body = await request.json();
+        const label = (body.label || '').trim().slice(0, 60);
+
+        if (action !== 'create-api-key' && !body.keyId) {
+            return jsonResponse({ error: 'keyId is required' }, 400);
+        }
+        if ((action === 'create-api-key' || action === 'label-api-key') && !label) {
+            return jsonResponse({ error: 'Label is required' }, 400);
+        }
+
+        let result;
+        switch (action) {
+            case 'create-api-key':
+                result = await createApiKey(db, userEmail, label);
+                break;
+            case 'label-api-key':
+                result = await labelApiKey(db, userEmail, body.keyId, label);
+                break;
+            case 'rotate-api-key':
+                result = await rotateApiKey(db, userEmail, body.keyId);
+                break;
+            case 'revoke-api-key':
+                result = await revokeApiKey(db, userEmail, body.keyId);
+                break;
+        }
+
+        if (result.error) {
+            return jsonResponse({ error: result.error }, result.status);
+        }
+
+        console.log(`[ApiKeys] ${action} for ${userEmail}: ${result.apiKey.prefix}`);
+        return jsonResponse({ success: true, ...result });
+    } catch (error) {
+        console.error('API key error:', error);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
 
 // --- Get All Users ---
-async function getAllUsers(db) {
+// Without pageSize every user is returned (newest first); with pageSize the
+// users are paged by email and nextPageToken is passed back as pageToken.
+// ?emails=a,b returns just those users.
+async function getAllUsers(db, url) {
     try {
-        const usersSnapshot = await db.collection('users').get();
-        const users = [];
+        const pageSize = parseInt(url.searchParams.get('pageSize'), 10);
+        const pageToken = url.searchParams.get('pageToken');
+        const emails = (url.searchParams.get('emails') || '').split(',').map(e => e.trim()).filter(Boolean);
+
+        // ?emails=a,b looks users up by id, in chunks of the 'in' operator's limit
+        if (emails.length > 0) {
+            const users = [];
+            for (let i = 0; i < emails.length; i += MAX_DISJUNCTION_VALUES) {
+                const snapshot = await db.collection('users')
+                    .where('__name__', 'in', emails.slice(i, i + MAX_DISJUNCTION_VALUES))
+                    .get();
+                snapshot.forEach(doc => users.push({ email: doc.id, ...doc.data() }));
+            }
+            return jsonResponse({ success: true, users, count: users.length });
+        }
+
+        if (pageSize > 0) {
+            let query = db.collection('users').orderBy('__name__').limit(Math.min(pageSize, 500));
+            if (pageToken) {
+                query = query.startAfter(pageToken);
+            }
+
+            const snapshot = await query.get();
+            const users = snapshot.docs.map(doc => ({ email: doc.id, ...doc.data() }));
+            const nextPageToken = snapshot.size === query.limitCount ? snapshot.docs[snapshot.size - 1].id : null;
 
-        usersSnapshot.forEach(doc => {
+            return jsonResponse({ success: true, users, count: users.length, nextPageToken });
+        }
+
+        const users = [];
+        for await (const doc of db.collection('users')) {
             users.push({ email: doc.id, ...doc.data() });
-        });
+        }
 
         users.sort((a, b) => {
             const dateA = a.createdAt || a.updatedAt || '';
@@ -266,7 +529,8 @@ async function getAllUsers(db) {
         return jsonResponse({ success: true, users, count: users.length });
     } catch (error) {
         console.error('Get all users error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
 
@@ -295,50 +559,143 @@ async function checkAdmin(request, db, method, url) {
         return jsonResponse({ success: true, isAdmin });
     } catch (error) {
         console.error('Check admin error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
 
 // --- Admin Login ---
-async function adminLogin(request, db) {
+// Same as /api/admin-login (see lib/admin-login.js)
+async function adminLogin(request, db, env) {
+    if (request.method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    try {
+        const { status, body } = await loginAdmin(request, db, env, await request.json());
+        return jsonResponse(body, status);
+    } catch (error) {
+        console.error('Admin login error:', error);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
+    }
+}
+
+// --- Admin Accounts ---
+// Owners manage other admins (see lib/admins.js). create-admin and
+// reset-admin-password return the generated password once; invite-admin
+// emails it to the new admin instead.
+async function manageAdmins(request, db, env, url, action, admin) {
+    if (action === 'list-admins') {
+        return jsonResponse({ success: true, admins: await listAdmins(db) });
+    }
+
     if (request.method !== 'POST') {
         return jsonResponse({ error: 'Method not allowed' }, 405);
     }
 
     try {
         const body = await request.json();
-        const { email, password } = body;
+        if (!body.email) {
+            return jsonResponse({ error: 'Email is required' }, 400);
+        }
+        // Don't create an admin whose password can't be delivered
+        if (action === 'invite-admin' && !isMailConfigured(env)) {
+            return jsonResponse({ error: 'Email delivery is not configured; use create-admin instead' }, 500);
+        }
 
-        if (!email || !password) {
-            return jsonResponse({ error: 'Email and password required' }, 400);
+        let result;
+        switch (action) {
+            case 'create-admin':
+            case 'invite-admin':
+                result = await createAdmin(db, body.email, body.role, admin.email);
+                break;
+            case 'deactivate-admin':
+                result = await deactivateAdmin(db, body.email, admin.email);
+                break;
+            case 'reactivate-admin':
+                result = await reactivateAdmin(db, body.email, admin.email);
+                break;
+            case 'reset-admin-password':
+                result = await resetAdminPassword(db, body.email, admin.email);
+                break;
         }
 
-        const doc = await db.collection('admins').doc(email).get();
-        if (!doc.exists) {
-            return jsonResponse({ error: 'Invalid credentials' }, 401);
+        if (result.error) {
+            return jsonResponse({ error: result.error }, result.status);
         }
 
-        const adminData = doc.data();
-        if (adminData.active === false) {
-            return jsonResponse({ error: 'Account inactive' }, 403);
+        console.log(`[Admins] ${action} ${result.admin.email} by ${admin.email}`);
+
+        if (action === 'invite-admin') {
+            await sendMail({
+                to: result.admin.email,
+                subject: 'You have been invited as an SMS admin',
+                text: `${admin.email} added you as an admin (role: ${result.admin.role}).\n\n` +
+                    `Log in at ${url.origin}/admin-login.html with:\nEmail: ${result.admin.email}\nPassword: ${result.password}\n\n` +
+                    `We recommend turning on two-factor authentication under Configuration after your first login.`
+            }, env);
+            // The password went to the invitee only
+            delete result.password;
         }
 
-        const isValid = await verifyPassword(password, adminData.passwordHash);
-        if (!isValid) {
-            return jsonResponse({ error: 'Invalid credentials' }, 401);
+        const notices = {
+            'create-admin': `👤 <b>Admin Created</b>\n${result.admin.email} (${result.admin.role})`,
+            'invite-admin': `✉️ <b>Admin Invited</b>\n${result.admin.email} (${result.admin.role})`,
+            'deactivate-admin': `⛔ <b>Admin Deactivated</b>\n${result.admin.email}`,
+            'reactivate-admin': `✅ <b>Admin Reactivated</b>\n${result.admin.email}`,
+            'reset-admin-password': `🔑 <b>Admin Password Reset</b>\n${result.admin.email}`
+        };
+        sendTelegramNotification(`${notices[action]}\n<b>By:</b> ${admin.email}`, env).catch(console.error);
+
+        return jsonResponse({ success: true, ...result });
+    } catch (error) {
+        console.error('Admin management error:', error);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
+    }
+}
+
+// --- Admin Two-Factor ---
+// The logged-in admin manages their own TOTP enrolment (see lib/totp.js)
+async function manageTwoFactor(request, db, action, admin) {
+    if (action === 'totp-status') {
+        return jsonResponse({ success: true, ...(await getTwoFactorStatus(db, admin.email)) });
+    }
+
+    if (request.method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    try {
+        const body = await request.json();
+
+        let result;
+        switch (action) {
+            case 'totp-setup':
+                result = await startTwoFactorSetup(db, admin.email);
+                break;
+            case 'totp-enable':
+                result = await enableTwoFactor(db, admin.email, body.code);
+                break;
+            case 'totp-disable':
+                result = await disableTwoFactor(db, admin.email, { totpCode: body.code, recoveryCode: body.recoveryCode });
+                break;
+            case 'totp-recovery-codes':
+                result = await regenerateRecoveryCodes(db, admin.email, body.code);
+                break;
         }
 
-        await db.collection('admins').doc(email).update({
-            lastLogin: new Date().toISOString()
-        });
+        if (result.error) {
+            return jsonResponse({ error: result.error }, result.status);
+        }
 
-        return jsonResponse({
-            success: true,
-            admin: { email: adminData.email, role: adminData.role || 'admin' }
-        });
+        console.log(`[AdminTwoFactor] ${action} for ${admin.email}`);
+        return jsonResponse({ success: true, ...result });
     } catch (error) {
-        console.error('Admin login error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        console.error('Two-factor error:', error);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
 
@@ -367,6 +724,63 @@ async function deleteUser(request, db) {
         return jsonResponse({ success: true, message: 'User deleted' });
     } catch (error) {
         console.error('Delete user error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
+    }
+}
+
+// --- Reconcile Credits ---
+// Recompute balances from credit_ledger (see lib/credits.js); drift is also
+// reported to the admin chat, so this can run from a scheduled job
+async function reconcileCreditsEndpoint(db, env, method) {
+    if (method !== 'GET' && method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    try {
+        const report = await reconcileCredits(db);
+        if (report.drifted.length > 0) {
+            await sendTelegramNotification(formatReconciliationReport(report), env).catch(console.error);
+        }
+        return jsonResponse({ success: true, ...report });
+    } catch (error) {
+        console.error('Reconcile credits error:', error);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
+    }
+}
+
+// --- Adjust Credits ---
+// Give or take credits by hand, with a reason code (see lib/credits.js)
+async function adjustCreditsEndpoint(request, db, env, admin) {
+    if (request.method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    try {
+        const body = await request.json();
+        const { userEmail, delta, reason, note } = body;
+
+        if (!userEmail) {
+            return jsonResponse({ error: 'Email is required' }, 400);
+        }
+
+        const result = await adjustCredits(db, {
+            email: userEmail,
+            delta: Number(delta),
+            reason,
+            note,
+            actor: admin.email
+        });
+        if (result.error) {
+            return jsonResponse({ error: result.error }, result.status);
+        }
+
+        await notifyCreditAdjustment(result, env).catch(console.error);
+        return jsonResponse({ success: true, adjustment: result });
+    } catch (error) {
+        console.error('Adjust credits error:', error);
+        const { status, body } = errorResponseFor(error);
+        return jsonResponse(body, status);
     }
 }
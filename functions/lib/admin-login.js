@@ -0,0 +1,87 @@
+/**
+ * Admin password login, behind both /api/admin-login and
+ * /api/users?action=admin-login: rate limiting, the optional second factor
+ * (lib/totp.js), legacy hash upgrades and issuing the admin session.
+ */
+import { verifyPassword, hashPassword, needsRehash } from './password.js';
+import { checkSecondFactor } from './totp.js';
+import { createRateLimiter, clientIp, ADMIN_LOGIN_POLICY } from './rate-limit.js';
+import { normalizeRole, permissionsFor } from './roles.js';
+import { createAdminSession } from './session.js';
+
+/**
+ * Log an admin in
+ * @param {Request} request - For the client IP
+ * @param {Object} db - Database from getDb()
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {Object} body - { email, password, totpCode?, recoveryCode? }
+ * @returns {Promise<{status: number, body: Object}>} - What the endpoint should answer
+ */
+export async function loginAdmin(request, db, env, body) {
+    const { email, password } = body;
+
+    if (!email || !password) {
+        return { status: 400, body: { error: 'Email and password required' } };
+    }
+
+    // Failed attempts back off per IP and per account (see lib/rate-limit.js)
+    const limiter = createRateLimiter(env, db, ADMIN_LOGIN_POLICY);
+    const attemptKeys = [`ip:${clientIp(request)}`, `account:${String(email).toLowerCase()}`];
+    const blocked = await limiter.check(attemptKeys);
+    if (blocked) {
+        return { status: blocked.status, body: { error: blocked.error, retryAfter: blocked.retryAfter } };
+    }
+
+    const doc = await db.collection('admins').doc(email).get();
+    if (!doc.exists) {
+        await limiter.recordFailure(attemptKeys);
+        return { status: 401, body: { error: 'Invalid credentials' } };
+    }
+
+    const adminData = doc.data();
+    const isValid = await verifyPassword(password, adminData.passwordHash);
+    if (!isValid) {
+        await limiter.recordFailure(attemptKeys);
+        return { status: 401, body: { error: 'Invalid credentials' } };
+    }
+
+    // Only reported after the password, so it can't reveal which admin emails exist
+    if (adminData.active === false) {
+        await limiter.recordFailure(attemptKeys);
+        return { status: 403, body: { error: 'Account inactive' } };
+    }
+
+    // Admins with TOTP enabled also need totpCode or recoveryCode (see lib/totp.js)
+    const secondFactor = await checkSecondFactor(adminData, body);
+    if (secondFactor.error) {
+        // Asking for the code isn't a failure; a wrong code is
+        if (body.totpCode || body.recoveryCode) {
+            await limiter.recordFailure(attemptKeys);
+        }
+        return { status: secondFactor.status, body: { error: secondFactor.error, twoFactorRequired: true } };
+    }
+    // The IP counter is left alone so one valid login can't clear failures against other accounts
+    await limiter.reset([attemptKeys[1]]);
+
+    const loginUpdate = { lastLogin: new Date().toISOString(), ...secondFactor.update };
+    // Replace legacy SHA-256 hashes now that we have the plain password
+    if (needsRehash(adminData.passwordHash)) {
+        loginUpdate.passwordHash = (await hashPassword(password)).fullHash;
+        console.log(`[AdminLogin] Upgraded password hash for ${email}`);
+    }
+    // Precondition so the same TOTP step or recovery code can't be used by two concurrent logins
+    const batch = db.batch();
+    batch.update(db.collection('admins').doc(email), loginUpdate, { lastUpdateTime: doc.updateTime });
+    await batch.commit();
+
+    const role = normalizeRole(adminData.role);
+    const admin = { email: adminData.email || email, role, permissions: permissionsFor(role) };
+    const session = await createAdminSession(admin, env);
+
+    const result = { success: true, admin, token: session.token, expiresAt: session.expiresAt };
+    if (secondFactor.usedRecoveryCode) {
+        result.recoveryCodesRemaining = loginUpdate.recoveryCodeHashes.length;
+        console.log(`[AdminLogin] ${email} used a recovery code (${result.recoveryCodesRemaining} left)`);
+    }
+    return { status: 200, body: result };
+}
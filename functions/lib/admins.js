@@ -0,0 +1,160 @@
+/**
+ * Admin account management for owners: list, create/invite, deactivate,
+ * reactivate and password resets of admins/{email} documents.
+ * New and reset passwords come from generatePassword() and are returned
+ * (or emailed) once; only the hash is stored.
+ */
+import { generatePassword, hashPassword } from './password.js';
+import { ROLES, normalizeRole } from './roles.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Admin emails are stored trimmed and lowercased
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+// Public view of an admin document (never includes password or 2FA secrets)
+function toAdminInfo(id, data) {
+    return {
+        email: data.email || id,
+        role: normalizeRole(data.role),
+        active: data.active !== false,
+        totpEnabled: data.totpEnabled === true,
+        telegramLinked: Boolean(data.telegramChatId),
+        createdAt: data.createdAt || null,
+        createdBy: data.createdBy || null,
+        lastLogin: data.lastLogin || null,
+        deactivatedAt: data.deactivatedAt || null,
+        deactivatedBy: data.deactivatedBy || null
+    };
+}
+
+async function getAdmin(db, email) {
+    const ref = db.collection('admins').doc(email);
+    const doc = await ref.get();
+    if (!doc.exists) {
+        return { error: 'Admin not found', status: 404 };
+    }
+    return { ref, doc };
+}
+
+/**
+ * All admins, owners first then by email
+ * @param {Object} db - Database from getDb()
+ * @returns {Promise<Object[]>}
+ */
+export async function listAdmins(db) {
+    const snapshot = await db.collection('admins').get();
+    return snapshot.docs
+        .map(doc => toAdminInfo(doc.id, doc.data()))
+        .sort((a, b) => ROLES.indexOf(a.role) - ROLES.indexOf(b.role) || a.email.localeCompare(b.email));
+}
+
+/**
+ * Create an admin with a generated password
+ * @param {Object} db - Database from getDb()
+ * @param {string} email
+ * @param {string} role - One of ROLES
+ * @param {string} actorEmail - Owner creating the account
+ * @returns {Promise<{admin: Object, password: string}|{error: string, status: number}>}
+ */
+export async function createAdmin(db, email, role, actorEmail) {
+    email = normalizeEmail(email);
+    if (!EMAIL_PATTERN.test(email)) {
+        return { error: 'A valid email is required', status: 400 };
+    }
+    if (!ROLES.includes(role)) {
+        return { error: `Role must be one of: ${ROLES.join(', ')}`, status: 400 };
+    }
+
+    const password = generatePassword();
+    const data = {
+        email,
+        passwordHash: (await hashPassword(password)).fullHash,
+        role,
+        active: true,
+        createdAt: new Date(),
+        createdBy: actorEmail
+    };
+
+    // create() fails if the admin already exists
+    const batch = db.batch();
+    batch.create(db.collection('admins').doc(email), data);
+    try {
+        await batch.commit();
+    } catch (error) {
+        if (error.code === 'ALREADY_EXISTS') {
+            return { error: 'An admin with this email already exists', status: 409 };
+        }
+        throw error;
+    }
+
+    return { admin: toAdminInfo(email, data), password };
+}
+
+/**
+ * Deactivate an admin; their sessions stop working immediately
+ * (requireAdmin checks `active`). Owners can't deactivate themselves
+ * or the last active owner.
+ * @returns {Promise<{admin: Object}|{error: string, status: number}>}
+ */
+export async function deactivateAdmin(db, email, actorEmail) {
+    const found = await getAdmin(db, email);
+    if (found.error) return found;
+
+    const data = found.doc.data();
+    const self = normalizeEmail(actorEmail);
+    if (normalizeEmail(email) === self || normalizeEmail(data.email) === self) {
+        return { error: 'You cannot deactivate your own account', status: 400 };
+    }
+    if (data.active === false) {
+        return { error: 'Admin is already inactive', status: 400 };
+    }
+    if (normalizeRole(data.role) === 'owner') {
+        const owners = (await listAdmins(db)).filter(a => a.role === 'owner' && a.active);
+        if (owners.length <= 1) {
+            return { error: 'Cannot deactivate the last active owner', status: 400 };
+        }
+    }
+
+    const update = { active: false, deactivatedAt: new Date(), deactivatedBy: actorEmail };
+    await found.ref.update(update);
+    return { admin: toAdminInfo(email, { ...data, ...update }) };
+}
+
+/**
+ * Reactivate a deactivated admin
+ * @returns {Promise<{admin: Object}|{error: string, status: number}>}
+ */
+export async function reactivateAdmin(db, email, actorEmail) {
+    const found = await getAdmin(db, email);
+    if (found.error) return found;
+
+    const data = found.doc.data();
+    if (data.active !== false) {
+        return { error: 'Admin is already active', status: 400 };
+    }
+
+    const update = { active: true, deactivatedAt: null, deactivatedBy: null, reactivatedAt: new Date(), reactivatedBy: actorEmail };
+    await found.ref.update(update);
+    return { admin: toAdminInfo(email, { ...data, ...update }) };
+}
+
+/**
+ * Replace an admin's password with a generated one. Sessions issued before
+ * the reset stop working (see passwordChangedAt in requireAdmin).
+ * @returns {Promise<{admin: Object, password: string}|{error: string, status: number}>}
+ */
+export async function resetAdminPassword(db, email, actorEmail) {
+    const found = await getAdmin(db, email);
+    if (found.error) return found;
+
+    const password = generatePassword();
+    await found.ref.update({
+        passwordHash: (await hashPassword(password)).fullHash,
+        passwordChangedAt: new Date(),
+        passwordResetBy: actorEmail
+    });
+    return { admin: toAdminInfo(email, found.doc.data()), password };
+}
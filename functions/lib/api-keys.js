@@ -0,0 +1,166 @@
+/**
+ * Per-user API keys for the main app's SMS credit endpoints.
+ * Keys look like "smssub_<keyId>_<secret>"; only a SHA-256 hash of the full
+ * key is stored, in api_keys/{keyId}. The plain key is shown once on creation.
+ */
+import { sha256Hex, timingSafeEqual, randomString } from './crypto-utils.js';
+import { clientIp } from './rate-limit.js';
+
+const KEY_PREFIX = 'smssub';
+const MAX_KEYS_PER_USER = 10;
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+// lastUsedAt is refreshed at most this often, so a busy key isn't a write per request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Public view of a stored key (never includes the hash)
+function toKeyInfo(id, data) {
+    return {
+        id,
+        label: data.label,
+        prefix: data.prefix,
+        createdAt: data.createdAt,
+        lastUsedAt: data.lastUsedAt || null,
+        lastUsedIp: data.lastUsedIp || null,
+        revokedAt: data.revokedAt || null,
+        rotatedTo: data.rotatedTo || null
+    };
+}
+
+async function newKeyRecord(userEmail, label) {
+    const keyId = randomString(ALPHABET, 12);
+    const key = `${KEY_PREFIX}_${keyId}_${randomString(ALPHABET, 32)}`;
+    return {
+        keyId,
+        key,
+        data: {
+            userEmail,
+            label,
+            prefix: `${KEY_PREFIX}_${keyId}`,
+            keyHash: await sha256Hex(key),
+            createdAt: new Date(),
+            lastUsedAt: null,
+            lastUsedIp: null,
+            revokedAt: null
+        }
+    };
+}
+
+// Load a key and check it belongs to the user
+async function getOwnedKey(db, userEmail, keyId) {
+    const ref = db.collection('api_keys').doc(keyId);
+    const doc = await ref.get();
+    if (!doc.exists || doc.data().userEmail !== userEmail) {
+        return { error: 'API key not found', status: 404 };
+    }
+    return { ref, doc };
+}
+
+/**
+ * List a user's keys, newest first
+ * @param {Object} db - Database from getDb()
+ * @param {string} userEmail
+ * @returns {Promise<Object[]>}
+ */
+export async function listApiKeys(db, userEmail) {
+    const snapshot = await db.collection('api_keys').where('userEmail', '==', userEmail).get();
+    return snapshot.docs
+        .map(doc => toKeyInfo(doc.id, doc.data()))
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Create a key. The returned `key` is the only time the plain key is available.
+ * @param {Object} db - Database from getDb()
+ * @param {string} userEmail
+ * @param {string} label - Name shown in the dashboard
+ * @returns {Promise<{key: string, apiKey: Object}|{error: string, status: number}>}
+ */
+export async function createApiKey(db, userEmail, label) {
+    const active = (await listApiKeys(db, userEmail)).filter(k => !k.revokedAt);
+    if (active.length >= MAX_KEYS_PER_USER) {
+        return { error: `You can have at most ${MAX_KEYS_PER_USER} active API keys`, status: 400 };
+    }
+
+    const record = await newKeyRecord(userEmail, label);
+    await db.collection('api_keys').doc(record.keyId).set(record.data);
+
+    return { key: record.key, apiKey: toKeyInfo(record.keyId, record.data) };
+}
+
+/**
+ * Change a key's label
+ * @returns {Promise<{apiKey: Object}|{error: string, status: number}>}
+ */
+export async function labelApiKey(db, userEmail, keyId, label) {
+    const owned = await getOwnedKey(db, userEmail, keyId);
+    if (owned.error) return owned;
+
+    await owned.ref.update({ label });
+    return { apiKey: toKeyInfo(keyId, { ...owned.doc.data(), label }) };
+}
+
+/**
+ * Revoke a key; the SMS endpoints reject it from then on
+ * @returns {Promise<{apiKey: Object}|{error: string, status: number}>}
+ */
+export async function revokeApiKey(db, userEmail, keyId) {
+    const owned = await getOwnedKey(db, userEmail, keyId);
+    if (owned.error) return owned;
+    if (owned.doc.data().revokedAt) {
+        return { error: 'API key already revoked', status: 400 };
+    }
+
+    const revokedAt = new Date();
+    await owned.ref.update({ revokedAt });
+    return { apiKey: toKeyInfo(keyId, { ...owned.doc.data(), revokedAt }) };
+}
+
+/**
+ * Replace a key with a new one under the same label, revoking the old key
+ * in the same commit
+ * @returns {Promise<{key: string, apiKey: Object}|{error: string, status: number}>}
+ */
+export async function rotateApiKey(db, userEmail, keyId) {
+    const owned = await getOwnedKey(db, userEmail, keyId);
+    if (owned.error) return owned;
+    if (owned.doc.data().revokedAt) {
+        return { error: 'Cannot rotate a revoked API key', status: 400 };
+    }
+
+    const record = await newKeyRecord(userEmail, owned.doc.data().label);
+    const batch = db.batch();
+    batch.create(db.collection('api_keys').doc(record.keyId), record.data);
+    batch.update(owned.ref, { revokedAt: new Date(), rotatedTo: record.keyId }, { lastUpdateTime: owned.doc.updateTime });
+    await batch.commit();
+
+    return { key: record.key, apiKey: toKeyInfo(record.keyId, record.data) };
+}
+
+/**
+ * Middleware for the SMS endpoints: checks "Authorization: Bearer <api key>"
+ * and records when (to the minute) and from where the key was used.
+ * @param {Request} request
+ * @param {Object} db - Database from getDb()
+ * @returns {Promise<{userEmail: string, keyId: string}|null>} - null means respond 401
+ */
+export async function authenticateApiKey(request, db) {
+    const match = /^Bearer\s+(\S+)$/i.exec(request.headers.get('Authorization') || '');
+    const parts = match ? match[1].split('_') : [];
+    if (parts.length !== 3 || parts[0] !== KEY_PREFIX) return null;
+
+    const keyId = parts[1];
+    const ref = db.collection('api_keys').doc(keyId);
+    const doc = await ref.get();
+    if (!doc.exists) return null;
+
+    const data = doc.data();
+    if (data.revokedAt || !timingSafeEqual(data.keyHash, await sha256Hex(match[1]))) return null;
+
+    const ip = clientIp(request);
+    const lastUsedMs = data.lastUsedAt ? data.lastUsedAt.toMillis() : 0;
+    if (ip !== data.lastUsedIp || Date.now() - lastUsedMs >= LAST_USED_INTERVAL_MS) {
+        await ref.update({ lastUsedAt: new Date(), lastUsedIp: ip });
+    }
+
+    return { userEmail: data.userEmail, keyId };
+}
@@ -0,0 +1,131 @@
+/**
+ * CORS for the API routes. functions/api/_middleware.js picks a policy per route
+ * and applies it to every response, so handlers don't set Access-Control-* headers.
+ *
+ * Allowed origins come from bindings holding comma-separated origins, e.g.
+ *   ALLOWED_ORIGINS = "https://tm-clnx.netlify.app,https://app.example.com"
+ * The site's own origin is always allowed. Only an allowed origin is echoed back;
+ * other origins get no Access-Control-Allow-Origin header, and the middleware
+ * refuses their requests with 403 instead of running the handler.
+ */
+
+const ALLOW_HEADERS = 'Content-Type, X-Requested-With, Authorization';
+
+export const CORS_POLICIES = {
+    // Credit checks authenticated by API key: any site may call them, without credentials
+    public: {
+        name: 'public',
+        anyOrigin: true,
+        credentials: false,
+        methods: 'GET, POST, OPTIONS',
+        maxAge: 86400
+    },
+    // Main app and dashboard routes: ALLOWED_ORIGINS, with credentials
+    app: {
+        name: 'app',
+        originsBinding: 'ALLOWED_ORIGINS',
+        credentials: true,
+        methods: 'GET, POST, OPTIONS',
+        maxAge: 600
+    },
+    // Admin panel routes: ADMIN_ALLOWED_ORIGINS, which is empty (same origin only) unless set
+    admin: {
+        name: 'admin',
+        originsBinding: 'ADMIN_ALLOWED_ORIGINS',
+        credentials: true,
+        methods: 'GET, POST, OPTIONS',
+        maxAge: 600
+    }
+};
+
+function normalizeOrigin(origin) {
+    return origin.trim().replace(/\/+$/, '').toLowerCase();
+}
+
+/**
+ * Origins listed in a binding
+ * @param {string} value - Comma-separated origins
+ * @returns {string[]}
+ */
+export function parseOrigins(value) {
+    return String(value || '').split(',').map(normalizeOrigin).filter(Boolean);
+}
+
+/**
+ * Whether a request's Origin may read responses under a policy
+ * @param {Request} request
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {Object} policy - One of CORS_POLICIES
+ * @returns {boolean}
+ */
+export function isOriginAllowed(request, env, policy) {
+    const origin = request.headers.get('Origin');
+    if (!origin) return false;
+    if (policy.anyOrigin) return true;
+
+    const normalized = normalizeOrigin(origin);
+    if (normalized === new URL(request.url).origin.toLowerCase()) return true;
+    return parseOrigins(env[policy.originsBinding]).includes(normalized);
+}
+
+/**
+ * CORS headers for a response to this request (empty when the origin isn't allowed)
+ * @param {Request} request
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {Object} policy - One of CORS_POLICIES
+ * @returns {Object}
+ */
+export function corsHeadersFor(request, env, policy) {
+    // Responses differ by Origin, so caches must key on it
+    const headers = policy.anyOrigin ? {} : { 'Vary': 'Origin' };
+    if (!isOriginAllowed(request, env, policy)) return headers;
+
+    if (policy.anyOrigin) {
+        headers['Access-Control-Allow-Origin'] = '*';
+    } else {
+        headers['Access-Control-Allow-Origin'] = request.headers.get('Origin');
+    }
+    if (policy.credentials) {
+        headers['Access-Control-Allow-Credentials'] = 'true';
+    }
+    return headers;
+}
+
+/**
+ * Answer an OPTIONS preflight
+ * @param {Request} request
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {Object} policy - One of CORS_POLICIES
+ * @returns {Response}
+ */
+export function preflightResponse(request, env, policy) {
+    if (!isOriginAllowed(request, env, policy)) {
+        return new Response(null, { status: 403, headers: corsHeadersFor(request, env, policy) });
+    }
+
+    return new Response(null, {
+        status: 204,
+        headers: {
+            ...corsHeadersFor(request, env, policy),
+            'Access-Control-Allow-Methods': policy.methods,
+            'Access-Control-Allow-Headers': ALLOW_HEADERS,
+            'Access-Control-Max-Age': String(policy.maxAge)
+        }
+    });
+}
+
+/**
+ * Add the policy's CORS headers to a handler's response
+ * @param {Request} request
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {Response} response
+ * @param {Object} policy - One of CORS_POLICIES
+ * @returns {Response}
+ */
+export function withCors(request, env, response, policy) {
+    const headers = new Headers(response.headers);
+    for (const [name, value] of Object.entries(corsHeadersFor(request, env, policy))) {
+        headers.set(name, value);
+    }
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
@@ -0,0 +1,231 @@
+/**
+ * SMS credit balances. users/{email}.smsCredits only changes in the same commit
+ * as an entry in the append-only credit_ledger collection, so every balance can
+ * be explained entry by entry, and reconcileCredits() can spot changes made
+ * any other way (e.g. edited by hand in the Firebase console).
+ */
+import { sendTelegramNotification } from './telegram.js';
+import { escapeHtml } from './html.js';
+
+export const CREDIT_ENTRY_TYPES = ['purchase', 'usage', 'refund', 'adjustment'];
+
+// Reason codes for manual adjustments; refunds are recorded as type 'refund'
+export const ADJUSTMENT_REASONS = ['goodwill', 'correction', 'refund', 'promotion', 'other'];
+
+const MAX_ADJUSTMENT = 100000;
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Change a user's balance and append the ledger entry explaining it
+ * @param {Object} writer - A db.batch(), or a transaction after all of its reads
+ * @param {Object} db - Database from getDb()
+ * @param {Object} userDoc - users/{email} as read just before; in a transaction it must exist
+ * @param {Object} entry
+ * @param {string} entry.type - One of CREDIT_ENTRY_TYPES
+ * @param {number} entry.delta - Credits added (positive) or taken (negative)
+ * @param {string} entry.actor - Who made the change: admin email, 'chain-verifier', the user's email...
+ * @param {string} [entry.referenceId] - What it's for: payment id, API key id...
+ * @param {string} [entry.reason] - Reason code of a manual adjustment (ADJUSTMENT_REASONS)
+ * @param {string} [entry.note] - Free-text explanation of a manual adjustment
+ * @param {Object} [userFields] - Other fields to write on the user document
+ * @returns {number} - The balance after the change
+ */
+export function writeCreditChange(writer, db, userDoc, entry, userFields = {}) {
+    const { type, delta, actor, referenceId = null, reason = null, note = null } = entry;
+    if (!CREDIT_ENTRY_TYPES.includes(type)) {
+        throw new Error(`Unknown credit entry type "${type}"`);
+    }
+
+    const balanceAfter = (userDoc.exists ? userDoc.data().smsCredits || 0 : 0) + delta;
+    const userRef = db.collection('users').doc(userDoc.id);
+    const fields = { ...userFields, smsCredits: balanceAfter };
+    if (userDoc.exists) {
+        // A batch fails with FailedPreconditionError if the balance changed since userDoc
+        // was read (transactions ignore the precondition; their read already guards it)
+        writer.update(userRef, fields, { lastUpdateTime: userDoc.updateTime });
+    } else {
+        writer.create(userRef, fields);
+    }
+
+    writer.set(db.collection('credit_ledger').doc(), {
+        email: userDoc.id,
+        type,
+        delta,
+        balanceAfter,
+        actor,
+        referenceId,
+        reason,
+        note,
+        createdAt: new Date()
+    });
+    return balanceAfter;
+}
+
+/**
+ * Manually give or take credits, e.g. goodwill credits from support or
+ * clawing back credits added by mistake
+ * @param {Object} db - Database from getDb()
+ * @param {Object} adjustment
+ * @param {string} adjustment.email - User to adjust
+ * @param {number} adjustment.delta - Whole credits to add (positive) or take (negative)
+ * @param {string} adjustment.reason - One of ADJUSTMENT_REASONS
+ * @param {string} [adjustment.note] - Explanation; required for 'other'
+ * @param {string} adjustment.actor - Email of the admin making the adjustment
+ * @returns {Promise<{email: string, delta: number, balanceAfter: number, reason: string, note: string|null, actor: string}|{error: string, status: number}>}
+ */
+export async function adjustCredits(db, { email, delta, reason, note, actor }) {
+    if (!Number.isInteger(delta) || delta === 0 || Math.abs(delta) > MAX_ADJUSTMENT) {
+        return { error: `Adjustment must be a whole number of credits between -${MAX_ADJUSTMENT} and ${MAX_ADJUSTMENT}, other than 0`, status: 400 };
+    }
+    if (!ADJUSTMENT_REASONS.includes(reason)) {
+        return { error: `reason must be one of ${ADJUSTMENT_REASONS.join(', ')}`, status: 400 };
+    }
+    if (reason === 'refund' && delta < 0) {
+        return { error: 'A refund gives credits back; use correction to take credits', status: 400 };
+    }
+    const trimmedNote = String(note || '').trim();
+    if (reason === 'other' && !trimmedNote) {
+        return { error: 'Add a note explaining the adjustment', status: 400 };
+    }
+    if (trimmedNote.length > MAX_NOTE_LENGTH) {
+        return { error: `Note must be at most ${MAX_NOTE_LENGTH} characters`, status: 400 };
+    }
+
+    const userDoc = await db.collection('users').doc(email).get();
+    if (!userDoc.exists) {
+        return { error: 'User not found', status: 404 };
+    }
+    const balance = userDoc.data().smsCredits || 0;
+    if (balance + delta < 0) {
+        return { error: `${email} has only ${balance} credits`, status: 400 };
+    }
+
+    const batch = db.batch();
+    const balanceAfter = writeCreditChange(batch, db, userDoc, {
+        type: reason === 'refund' ? 'refund' : 'adjustment',
+        delta,
+        actor,
+        reason,
+        note: trimmedNote || null
+    });
+    await batch.commit();
+
+    console.log(`[Credits] ${actor} adjusted ${email} by ${delta} (${reason}); balance ${balanceAfter}`);
+    return { email, delta, balanceAfter, reason, note: trimmedNote || null, actor };
+}
+
+/**
+ * Tell the admin chat about a manual adjustment
+ * @param {Object} adjustment - Result of adjustCredits()
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {string} [via] - Where it was made, e.g. 'Telegram'
+ */
+export async function notifyCreditAdjustment(adjustment, env, via = 'Admin Panel') {
+    const sign = adjustment.delta > 0 ? '+' : '';
+    await sendTelegramNotification(`
+💳 <b>Credits Adjusted via ${via}</b>
+
+<b>User:</b> ${adjustment.email}
+<b>Change:</b> ${sign}${adjustment.delta} SMS
+<b>New Balance:</b> ${adjustment.balanceAfter}
+<b>Reason:</b> ${adjustment.reason}${adjustment.note ? ` - ${escapeHtml(adjustment.note)}` : ''}
+<b>By:</b> ${adjustment.actor}
+    `, env);
+}
+
+/**
+ * A user's recent credit history (purchases, refunds and adjustments; usage
+ * is left out as it shows up as sent SMS), newest first
+ * @param {Object} db - Database from getDb()
+ * @param {string} email
+ * @param {number} [limit]
+ * @returns {Promise<Object[]>} - {type, delta, balanceAfter, reason, note, createdAt}
+ */
+export async function getCreditHistory(db, email, limit = 20) {
+    const snapshot = await db.collection('credit_ledger')
+        .where('email', '==', email)
+        .where('type', 'in', ['purchase', 'refund', 'adjustment'])
+        .orderBy('createdAt', 'desc')
+        .limit(limit)
+        .get();
+    return snapshot.docs.map(doc => {
+        const { type, delta, balanceAfter, reason, note, createdAt } = doc.data();
+        return { type, delta, balanceAfter, reason: reason || null, note: note || null, createdAt };
+    });
+}
+
+/**
+ * Recompute every balance from the ledger and compare it with smsCredits.
+ * A user's history starts from the balance before their first entry (users
+ * older than the ledger had credits already), then adds each delta; an entry
+ * whose balanceAfter doesn't follow from the previous one means the balance
+ * was changed in between without an entry.
+ * @param {Object} db - Database from getDb()
+ * @returns {Promise<{checkedUsers: number, entries: number, drifted: Object[], unrecorded: Object[]}>}
+ *          drifted: {email, balance, expected, drift, gaps}; unrecorded: {email, balance} for
+ *          users with credits but no ledger entries
+ */
+export async function reconcileCredits(db) {
+    const ledgers = new Map();
+    let entries = 0;
+    for await (const doc of db.collection('credit_ledger').orderBy('createdAt')) {
+        const entry = doc.data();
+        if (!ledgers.has(entry.email)) {
+            ledgers.set(entry.email, { expected: entry.balanceAfter - entry.delta, gaps: 0 });
+        }
+        const ledger = ledgers.get(entry.email);
+        ledger.expected += entry.delta;
+        if (ledger.expected !== entry.balanceAfter) {
+            ledger.gaps++;
+            ledger.expected = entry.balanceAfter;
+        }
+        entries++;
+    }
+
+    const drifted = [];
+    const unrecorded = [];
+    let checkedUsers = 0;
+    for await (const doc of db.collection('users')) {
+        const balance = doc.data().smsCredits || 0;
+        const ledger = ledgers.get(doc.id);
+        checkedUsers++;
+
+        if (!ledger) {
+            if (balance !== 0) unrecorded.push({ email: doc.id, balance });
+            continue;
+        }
+        if (ledger.gaps > 0 || balance !== ledger.expected) {
+            drifted.push({ email: doc.id, balance, expected: ledger.expected, drift: balance - ledger.expected, gaps: ledger.gaps });
+        }
+    }
+
+    console.log(`[Credits] Reconciled ${checkedUsers} users, ${entries} ledger entries: ${drifted.length} drifted, ${unrecorded.length} unrecorded`);
+    return { checkedUsers, entries, drifted, unrecorded };
+}
+
+/**
+ * Telegram report of a reconcileCredits() result
+ * @param {Object} report
+ * @returns {string}
+ */
+export function formatReconciliationReport(report) {
+    let message = `🧾 <b>Credit Reconciliation</b>\n\n`;
+    message += `Users checked: ${report.checkedUsers}\nLedger entries: ${report.entries}\n\n`;
+
+    if (report.drifted.length === 0) {
+        message += `✅ Every balance matches its ledger\n`;
+    } else {
+        message += `🚨 <b>${report.drifted.length} balance(s) drifted:</b>\n`;
+        report.drifted.slice(0, 20).forEach(d => {
+            const sign = d.drift > 0 ? '+' : '';
+            message += `• ${d.email}: ${d.balance} (ledger ${d.expected}, ${sign}${d.drift})${d.gaps ? `, ${d.gaps} unrecorded change(s)` : ''}\n`;
+        });
+        if (report.drifted.length > 20) {
+            message += `... and ${report.drifted.length - 20} more\n`;
+        }
+    }
+    if (report.unrecorded.length > 0) {
+        message += `\nℹ️ ${report.unrecorded.length} user(s) have credits from before the ledger\n`;
+    }
+    return message;
+}
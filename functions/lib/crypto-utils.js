@@ -0,0 +1,61 @@
+/**
+ * Small Web Crypto helpers shared by the modules that hash and compare
+ * secrets (passwords, API keys, login and recovery codes, webhook secrets).
+ */
+
+/**
+ * Hex encoding of bytes
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {string}
+ */
+export function bytesToHex(buffer) {
+    return [...new Uint8Array(buffer)]
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * SHA-256 of a string, hex encoded
+ * @param {string} value
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(value) {
+    return bytesToHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+}
+
+/**
+ * Constant-time comparison of two strings or two byte arrays
+ * @param {string|Uint8Array} a
+ * @param {string|Uint8Array} b
+ * @returns {boolean}
+ */
+export function timingSafeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    const unitAt = (value, i) => (typeof value === 'string' ? value.charCodeAt(i) : value[i]);
+    let result = 0;
+    for (let i = 0; i < a.length; i++) {
+        result |= unitAt(a, i) ^ unitAt(b, i);
+    }
+    return result === 0;
+}
+
+/**
+ * Random string drawn uniformly from an alphabet of at most 256 characters.
+ * Bytes at or above the largest multiple of the alphabet size are discarded,
+ * since taking them modulo the size would favour the first characters.
+ * @param {string} alphabet
+ * @param {number} length
+ * @returns {string}
+ */
+export function randomString(alphabet, length) {
+    const limit = 256 - (256 % alphabet.length);
+    let value = '';
+    while (value.length < length) {
+        const bytes = new Uint8Array(length * 2);
+        crypto.getRandomValues(bytes);
+        for (let i = 0; i < bytes.length && value.length < length; i++) {
+            if (bytes[i] < limit) value += alphabet[bytes[i] % alphabet.length];
+        }
+    }
+    return value;
+}
@@ -0,0 +1,88 @@
+/**
+ * Storage errors shared by the Firestore REST client and the in-memory backend.
+ * `status` is the HTTP status returned by Firestore, `code` the canonical
+ * Firestore error code (e.g. NOT_FOUND) and `httpStatus` what an API
+ * handler should answer its own caller with. InsufficientCreditsError is the
+ * one request error: it is thrown from inside credit transactions.
+ */
+
+export class FirestoreError extends Error {
+    constructor(message, { status = null, code = 'UNKNOWN' } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+    }
+
+    get httpStatus() {
+        return 500;
+    }
+
+    get publicMessage() {
+        return 'Internal server error';
+    }
+}
+
+export class NotFoundError extends FirestoreError {
+    get httpStatus() { return 404; }
+    get publicMessage() { return 'Not found'; }
+}
+
+export class PermissionDeniedError extends FirestoreError {
+    get publicMessage() { return 'Database permission denied'; }
+}
+
+export class FailedPreconditionError extends FirestoreError {
+    get httpStatus() { return 409; }
+    get publicMessage() { return 'Request conflicts with the current state'; }
+}
+
+export class AbortedError extends FirestoreError {
+    get httpStatus() { return 409; }
+    get publicMessage() { return 'Concurrent modification, please retry'; }
+}
+
+export class UnavailableError extends FirestoreError {
+    get httpStatus() { return 503; }
+    get publicMessage() { return 'Service temporarily unavailable'; }
+}
+
+// A user tried to spend an SMS credit they don't have
+export class InsufficientCreditsError extends Error {
+    constructor(message = 'Insufficient credits') {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = 'INSUFFICIENT_CREDITS';
+    }
+
+    get httpStatus() { return 402; }
+    get publicMessage() { return this.message; }
+}
+
+const ERROR_CLASSES = {
+    NOT_FOUND: NotFoundError,
+    PERMISSION_DENIED: PermissionDeniedError,
+    UNAUTHENTICATED: PermissionDeniedError,
+    FAILED_PRECONDITION: FailedPreconditionError,
+    ABORTED: AbortedError,
+    UNAVAILABLE: UnavailableError,
+    DEADLINE_EXCEEDED: UnavailableError,
+    ALREADY_EXISTS: FailedPreconditionError
+};
+
+/**
+ * Error class for a canonical Firestore error code
+ */
+export function errorClassFor(code) {
+    return ERROR_CLASSES[code] || FirestoreError;
+}
+
+/**
+ * Map any error to the status and JSON body an API handler should return
+ */
+export function errorResponseFor(error) {
+    if (error instanceof FirestoreError || error instanceof InsufficientCreditsError) {
+        return { status: error.httpStatus, body: { error: error.publicMessage, code: error.code } };
+    }
+    return { status: 500, body: { error: 'Internal server error' } };
+}
@@ -0,0 +1,103 @@
+/**
+ * Query filter helpers shared by the Firestore REST client and the in-memory backend
+ */
+
+// Operators accepted by where(), with their Firestore REST names
+export const FIELD_OPERATORS = {
+    '==': 'EQUAL',
+    '!=': 'NOT_EQUAL',
+    '<': 'LESS_THAN',
+    '<=': 'LESS_THAN_OR_EQUAL',
+    '>': 'GREATER_THAN',
+    '>=': 'GREATER_THAN_OR_EQUAL',
+    'in': 'IN',
+    'not-in': 'NOT_IN',
+    'array-contains': 'ARRAY_CONTAINS',
+    'array-contains-any': 'ARRAY_CONTAINS_ANY'
+};
+
+// Firestore caps the number of values in a single in / not-in / array-contains-any
+export const MAX_DISJUNCTION_VALUES = 30;
+
+const ARRAY_OPERATORS = ['in', 'not-in', 'array-contains-any'];
+
+/**
+ * Build a validated field filter node
+ */
+function fieldFilter(field, op, value) {
+    if (!FIELD_OPERATORS[op]) {
+        throw new Error(`Invalid query operator: ${op}`);
+    }
+    if (ARRAY_OPERATORS.includes(op)) {
+        if (!Array.isArray(value) || value.length === 0) {
+            throw new Error(`'${op}' filters require a non-empty array value`);
+        }
+        if (value.length > MAX_DISJUNCTION_VALUES) {
+            throw new Error(`'${op}' filters support at most ${MAX_DISJUNCTION_VALUES} values`);
+        }
+    }
+    return { type: 'field', field, op, value };
+}
+
+function compositeFilter(op, filters) {
+    if (filters.length === 0) {
+        throw new Error(`Filter.${op.toLowerCase()}() needs at least one filter`);
+    }
+    return { type: 'composite', op, filters };
+}
+
+/**
+ * Filter builders for composite queries, e.g.
+ *   query.where(Filter.or(Filter.where('status', '==', 'pending'), Filter.where('flagged', '==', true)))
+ */
+export const Filter = {
+    where: (field, op, value) => fieldFilter(field, op, value),
+    and: (...filters) => compositeFilter('AND', filters),
+    or: (...filters) => compositeFilter('OR', filters)
+};
+
+/**
+ * Normalise where() arguments - (field, op, value) or a single Filter - to a filter node
+ */
+export function toFilterNode(fieldOrFilter, op, value) {
+    if (fieldOrFilter && typeof fieldOrFilter === 'object' && fieldOrFilter.type) {
+        return fieldOrFilter;
+    }
+    return fieldFilter(fieldOrFilter, op, value);
+}
+
+// Operators Firestore treats as inequalities; results are ordered by their fields
+const INEQUALITY_OPERATORS = ['<', '<=', '>', '>=', '!=', 'not-in'];
+
+function collectInequalityFields(node, fields) {
+    if (node.type === 'composite') {
+        node.filters.forEach(f => collectInequalityFields(f, fields));
+    } else if (INEQUALITY_OPERATORS.includes(node.op)) {
+        fields.add(node.field);
+    }
+    return fields;
+}
+
+/**
+ * The orderBy list a query actually runs with, built the way the SDK does:
+ * the explicit orders, then any inequality-filtered fields not already
+ * ordered (by field path), then __name__ when a snapshot cursor pins the
+ * document name. Cursor values line up with this list.
+ */
+export function effectiveOrders(orders, filters, hasSnapshotCursor) {
+    const result = [...orders];
+    const direction = orders.length > 0 ? orders[orders.length - 1].direction : 'ASCENDING';
+
+    const fields = new Set();
+    filters.forEach(f => collectInequalityFields(f, fields));
+    for (const field of [...fields].sort()) {
+        if (field !== '__name__' && !result.some(o => o.field === field)) {
+            result.push({ field, direction });
+        }
+    }
+
+    if (hasSnapshotCursor && !result.some(o => o.field === '__name__')) {
+        result.push({ field: '__name__', direction });
+    }
+    return result;
+}
@@ -3,14 +3,59 @@
  * Uses Firestore REST API instead of Admin SDK
  */
 
+import { AbortedError, errorClassFor } from './errors.js';
+import { getMemoryDb } from './memory-db.js';
+import { FIELD_OPERATORS, toFilterNode, effectiveOrders } from './filters.js';
+import { Timestamp, GeoPoint, bytesToBase64, base64ToBytes, parseInteger } from './values.js';
+import { randomString } from './crypto-utils.js';
+
+// Re-exported so API handlers keep importing everything from firebase.js
+export {
+    FirestoreError,
+    NotFoundError,
+    PermissionDeniedError,
+    FailedPreconditionError,
+    AbortedError,
+    UnavailableError,
+    InsufficientCreditsError,
+    errorResponseFor
+} from './errors.js';
+export { Filter, MAX_DISJUNCTION_VALUES } from './filters.js';
+export { Timestamp, GeoPoint, toMillis } from './values.js';
+
 let firebaseConfig = null;
 let accessToken = null;
 let tokenExpiry = 0;
 
+// 'firestore' (default) or 'memory', from the STORAGE_BACKEND binding
+let storageBackend = 'firestore';
+let memorySeed = null;
+
 /**
  * Initialize Firebase with environment variables
  */
 export function initFirebase(env) {
+    storageBackend = env.STORAGE_BACKEND || 'firestore';
+    if (storageBackend === 'memory') {
+        console.log('[Firebase] Using in-memory storage backend');
+        memorySeed = env.MEMORY_DB_SEED || null;
+        return;
+    }
+    if (storageBackend !== 'firestore') {
+        throw new Error(`Unknown STORAGE_BACKEND: ${storageBackend}`);
+    }
+
+    // Local Firestore emulator: no service account needed
+    if (env.FIRESTORE_EMULATOR_HOST) {
+        const host = env.FIRESTORE_EMULATOR_HOST.replace(/\/+$/, '');
+        firebaseConfig = {
+            projectId: env.FIREBASE_PROJECT_ID || 'demo-smssub',
+            emulatorUrl: /^https?:\/\//.test(host) ? host : `http://${host}`
+        };
+        console.log('[Firebase] Using Firestore emulator at', firebaseConfig.emulatorUrl, 'project', firebaseConfig.projectId);
+        return;
+    }
+
     console.log('[Firebase] Initializing...');
     console.log('[Firebase] Project ID exists:', !!env.FIREBASE_PROJECT_ID);
     console.log('[Firebase] Client Email exists:', !!env.FIREBASE_CLIENT_EMAIL);
@@ -103,6 +148,11 @@ async function createJWT() {
  * Get OAuth2 access token
  */
 async function getAccessToken() {
+    // The emulator accepts this fixed bearer and bypasses security rules with it
+    if (firebaseConfig.emulatorUrl) {
+        return 'owner';
+    }
+
     console.log('[Token] Getting access token...');
 
     const now = Date.now();
@@ -135,11 +185,61 @@ async function getAccessToken() {
     return accessToken;
 }
 
+// Fallback when the response body carries no Firestore status
+const HTTP_STATUS_CODES = {
+    401: 'UNAUTHENTICATED',
+    403: 'PERMISSION_DENIED',
+    404: 'NOT_FOUND',
+    409: 'ABORTED',
+    503: 'UNAVAILABLE',
+    504: 'DEADLINE_EXCEEDED'
+};
+
+/**
+ * Build a typed error from a failed Firestore response
+ */
+async function toFirestoreError(response, operation) {
+    const data = await response.json().catch(() => ({}));
+    const body = Array.isArray(data) ? data[0] : data;
+    const code = body?.error?.status || HTTP_STATUS_CODES[response.status] || 'UNKNOWN';
+    const ErrorClass = errorClassFor(code);
+    const detail = body?.error?.message || `HTTP ${response.status}`;
+    return new ErrorClass(`Firestore ${operation} failed: ${detail}`, { status: response.status, code });
+}
+
 /**
  * Firestore REST API base URL
  */
 function getFirestoreUrl(path = '') {
-    return `https://firestore.googleapis.com/v1/projects/${firebaseConfig.projectId}/databases/(default)/documents${path}`;
+    const baseUrl = firebaseConfig.emulatorUrl || 'https://firestore.googleapis.com';
+    return `${baseUrl}/v1/projects/${firebaseConfig.projectId}/databases/(default)/documents${path}`;
+}
+
+/**
+ * Fully-qualified document resource name (used in commit writes)
+ */
+function getDocumentName(collection, id) {
+    return `projects/${firebaseConfig.projectId}/databases/(default)/documents/${collection}/${id}`;
+}
+
+/**
+ * POST to a database-level RPC such as :beginTransaction or :commit
+ */
+async function firestoreRpc(method, body) {
+    const token = await getAccessToken();
+    const response = await fetch(getFirestoreUrl(`:${method}`), {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        throw await toFirestoreError(response, method);
+    }
+    return response.json();
 }
 
 /**
@@ -156,16 +256,27 @@ function docToObject(doc) {
 
 function parseFirestoreValue(value) {
     if ('stringValue' in value) return value.stringValue;
-    if ('integerValue' in value) return parseInt(value.integerValue);
-    if ('doubleValue' in value) return value.doubleValue;
+    if ('integerValue' in value) return parseInteger(value.integerValue);
+    if ('doubleValue' in value) return Number(value.doubleValue);
     if ('booleanValue' in value) return value.booleanValue;
     if ('nullValue' in value) return null;
-    if ('timestampValue' in value) return value.timestampValue;
+    if ('timestampValue' in value) return Timestamp.fromString(value.timestampValue);
+    if ('bytesValue' in value) return base64ToBytes(value.bytesValue);
+    if ('referenceValue' in value) return parseReference(value.referenceValue);
+    if ('geoPointValue' in value) return new GeoPoint(value.geoPointValue.latitude || 0, value.geoPointValue.longitude || 0);
     if ('arrayValue' in value) return (value.arrayValue.values || []).map(parseFirestoreValue);
     if ('mapValue' in value) return docToObject({ fields: value.mapValue.fields });
     return null;
 }
 
+/**
+ * Turn a full document name back into a DocumentRef
+ */
+function parseReference(name) {
+    const path = name.slice(name.indexOf('/documents/') + '/documents/'.length).split('/');
+    return new DocumentRef(path.slice(0, -1).join('/'), path[path.length - 1]);
+}
+
 /**
  * Convert plain object to Firestore format
  */
@@ -179,16 +290,124 @@ function objectToDoc(obj) {
 
 function toFirestoreValue(value) {
     if (value === null || value === undefined) return { nullValue: null };
+    if (value.__fieldTransform) {
+        throw new Error(`FieldValue.${value.__fieldTransform}() can only be used as a top-level field in set() or update()`);
+    }
     if (typeof value === 'string') return { stringValue: value };
     if (typeof value === 'number') {
-        return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+        if (Number.isSafeInteger(value)) return { integerValue: String(value) };
+        // NaN and ±Infinity travel as strings in the REST JSON encoding
+        return { doubleValue: Number.isFinite(value) ? value : String(value) };
     }
+    if (typeof value === 'bigint') return { integerValue: value.toString() };
     if (typeof value === 'boolean') return { booleanValue: value };
+    if (value instanceof Date) return { timestampValue: Timestamp.fromDate(value).toRFC3339() };
+    if (value instanceof Timestamp) return { timestampValue: value.toRFC3339() };
+    if (value instanceof Uint8Array) return { bytesValue: bytesToBase64(value) };
+    if (value instanceof DocumentRef) return { referenceValue: getDocumentName(value.collection, value.id) };
+    if (value instanceof GeoPoint) return { geoPointValue: { latitude: value.latitude, longitude: value.longitude } };
     if (Array.isArray(value)) return { arrayValue: { values: value.map(toFirestoreValue) } };
     if (typeof value === 'object') return { mapValue: { fields: objectToDoc(value).fields } };
     return { stringValue: String(value) };
 }
 
+const AUTO_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Generate a 20-character document ID (same alphabet as the Admin SDK)
+ */
+function autoId() {
+    return randomString(AUTO_ID_ALPHABET, 20);
+}
+
+/**
+ * Quote a field name for use in a field path when it is not a simple identifier
+ */
+function toFieldPath(key) {
+    if (/^[a-zA-Z_][a-zA-Z_0-9]*$/.test(key)) return key;
+    return '`' + key.replace(/\\/g, '\\\\').replace(/`/g, '\\`') + '`';
+}
+
+/**
+ * Convert a FieldValue sentinel into a Firestore FieldTransform
+ */
+function toFieldTransform(fieldPath, sentinel) {
+    switch (sentinel.__fieldTransform) {
+        case 'increment':
+            return { fieldPath, increment: toFirestoreValue(sentinel.value) };
+        case 'maximum':
+            return { fieldPath, maximum: toFirestoreValue(sentinel.value) };
+        case 'minimum':
+            return { fieldPath, minimum: toFirestoreValue(sentinel.value) };
+        case 'serverTimestamp':
+            return { fieldPath, setToServerValue: 'REQUEST_TIME' };
+        case 'arrayUnion':
+            return { fieldPath, appendMissingElements: { values: sentinel.elements.map(toFirestoreValue) } };
+        case 'arrayRemove':
+            return { fieldPath, removeAllFromArray: { values: sentinel.elements.map(toFirestoreValue) } };
+        default:
+            throw new Error(`Unsupported field transform: ${sentinel.__fieldTransform}`);
+    }
+}
+
+/**
+ * Convert { exists, lastUpdateTime } into a Firestore currentDocument precondition
+ */
+function toPrecondition({ exists, lastUpdateTime } = {}) {
+    if (lastUpdateTime) return { updateTime: lastUpdateTime };
+    if (exists !== undefined) return { exists };
+    return null;
+}
+
+/**
+ * Build a commit write for a document, splitting FieldValue sentinels
+ * out of the data and into updateTransforms.
+ * @param {Object} options - mask: only touch the given fields (update / merge set),
+ *                           exists / lastUpdateTime: currentDocument precondition
+ */
+function buildUpdateWrite(collection, id, data, { mask = false, exists, lastUpdateTime } = {}) {
+    const plain = {};
+    const updateTransforms = [];
+
+    for (const [key, value] of Object.entries(data)) {
+        if (value && value.__fieldTransform) {
+            updateTransforms.push(toFieldTransform(toFieldPath(key), value));
+        } else {
+            plain[key] = value;
+        }
+    }
+
+    const write = {
+        update: { name: getDocumentName(collection, id), ...objectToDoc(plain) }
+    };
+    if (mask) {
+        write.updateMask = { fieldPaths: Object.keys(plain).map(toFieldPath) };
+    }
+    if (updateTransforms.length > 0) {
+        write.updateTransforms = updateTransforms;
+    }
+    const currentDocument = toPrecondition({ exists, lastUpdateTime });
+    if (currentDocument) {
+        write.currentDocument = currentDocument;
+    }
+    return write;
+}
+
+/**
+ * Build a commit write that deletes a document
+ */
+function buildDeleteWrite(collection, id, precondition = {}) {
+    const write = { delete: getDocumentName(collection, id) };
+    const currentDocument = toPrecondition(precondition);
+    if (currentDocument) {
+        write.currentDocument = currentDocument;
+    }
+    return write;
+}
+
+// Firestore rejects commits with more writes than this
+const MAX_BATCH_WRITES = 500;
+
 /**
  * FirestoreDB class - mimics Admin SDK interface
  */
@@ -197,141 +416,355 @@ class FirestoreDB {
         return new CollectionRef(name);
     }
 
-    async runTransaction(callback) {
-        // Simple implementation - just run the callback
-        const batch = new TransactionBatch();
-        await callback(batch);
-        await batch.commit();
+    batch() {
+        return new WriteBatch();
     }
-}
 
-class CollectionRef {
-    constructor(name) {
-        this.name = name;
-    }
+    /**
+     * Run updateFunction inside a Firestore read-write transaction.
+     * Reads are pinned to the transaction, writes are sent in a single commit,
+     * and the whole attempt is retried when Firestore reports ABORTED contention.
+     */
+    async runTransaction(updateFunction, { maxAttempts = 5 } = {}) {
+        let previousId = null;
 
-    doc(id) {
-        return new DocumentRef(this.name, id);
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const readWrite = previousId ? { retryTransaction: previousId } : {};
+            const { transaction: transactionId } = await firestoreRpc('beginTransaction', {
+                options: { readWrite }
+            });
+            const transaction = new Transaction(transactionId);
+
+            try {
+                const result = await updateFunction(transaction);
+                await firestoreRpc('commit', {
+                    writes: transaction.writes,
+                    transaction: transactionId
+                });
+                return result;
+            } catch (error) {
+                // Release locks; harmless if the commit itself already ended the transaction
+                await firestoreRpc('rollback', { transaction: transactionId }).catch(() => {});
+                if (!(error instanceof AbortedError) || attempt === maxAttempts) {
+                    throw error;
+                }
+
+                console.warn(`[Transaction] Aborted on attempt ${attempt}, retrying...`);
+                previousId = transactionId;
+                const backoff = Math.min(1000, 100 * 2 ** (attempt - 1));
+                await new Promise(resolve => setTimeout(resolve, backoff + Math.random() * backoff));
+            }
+        }
     }
+}
 
-    async add(data) {
-        const token = await getAccessToken();
-        const doc = objectToDoc(data);
+// Page size used when iterating a query with paginate() / for await
+const DEFAULT_PAGE_SIZE = 300;
 
-        const response = await fetch(getFirestoreUrl(`/${this.name}`), {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(doc)
-        });
+const DIRECTIONS = { asc: 'ASCENDING', desc: 'DESCENDING' };
 
-        const result = await response.json();
-        const id = result.name?.split('/').pop();
-        return { id };
+/**
+ * Immutable query builder - every modifier returns a new QueryRef
+ */
+class QueryRef {
+    constructor(collection, options = {}) {
+        this.collection = collection;
+        this.filters = options.filters || [];
+        this.orders = options.orders || [];
+        this.limitCount = options.limitCount ?? null;
+        this.offsetCount = options.offsetCount ?? null;
+        this.startCursor = options.startCursor || null;
+        this.endCursor = options.endCursor || null;
+    }
+
+    _with(changes) {
+        return new QueryRef(this.collection, {
+            filters: this.filters,
+            orders: this.orders,
+            limitCount: this.limitCount,
+            offsetCount: this.offsetCount,
+            startCursor: this.startCursor,
+            endCursor: this.endCursor,
+            ...changes
+        });
     }
 
-    async get() {
-        const token = await getAccessToken();
-        const response = await fetch(getFirestoreUrl(`/${this.name}`), {
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
-        const data = await response.json();
-        return new QuerySnapshot(data.documents || [], this.name);
+    // where(field, op, value) or where(Filter.or(...) / Filter.and(...))
+    where(fieldOrFilter, op, value) {
+        return this._with({ filters: [...this.filters, toFilterNode(fieldOrFilter, op, value)] });
     }
 
-    where(field, op, value) {
-        return new QueryRef(this.name, [{ field, op, value }]);
+    orderBy(field, direction = 'asc') {
+        const resolved = DIRECTIONS[String(direction).toLowerCase()];
+        if (!resolved) {
+            throw new Error(`Invalid orderBy direction: ${direction}`);
+        }
+        return this._with({ orders: [...this.orders, { field, direction: resolved }] });
     }
 
     limit(n) {
-        return new QueryRef(this.name, [], n);
+        return this._with({ limitCount: n });
     }
-}
 
-class QueryRef {
-    constructor(collection, filters = [], limitCount = null) {
-        this.collection = collection;
-        this.filters = filters;
-        this.limitCount = limitCount;
+    offset(n) {
+        return this._with({ offsetCount: n });
     }
 
-    where(field, op, value) {
-        return new QueryRef(this.collection, [...this.filters, { field, op, value }], this.limitCount);
+    // Cursors accept either a DocumentSnapshot or one value per orderBy() field
+    startAt(...values) {
+        return this._with({ startCursor: toCursor(values, true) });
     }
 
-    limit(n) {
-        return new QueryRef(this.collection, this.filters, n);
+    startAfter(...values) {
+        return this._with({ startCursor: toCursor(values, false) });
     }
 
-    async get() {
-        const token = await getAccessToken();
+    endBefore(...values) {
+        return this._with({ endCursor: toCursor(values, true) });
+    }
+
+    endAt(...values) {
+        return this._with({ endCursor: toCursor(values, false) });
+    }
 
+    _buildStructuredQuery() {
         const structuredQuery = {
             from: [{ collectionId: this.collection }],
         };
 
         if (this.filters.length > 0) {
-            const opMap = { '==': 'EQUAL', '<': 'LESS_THAN', '>': 'GREATER_THAN', '<=': 'LESS_THAN_OR_EQUAL', '>=': 'GREATER_THAN_OR_EQUAL' };
-            structuredQuery.where = {
+            structuredQuery.where = this._filterToFirestore({ type: 'composite', op: 'AND', filters: this.filters });
+        }
+
+        // Inequality fields and (for snapshot cursors) __name__ are ordered on too
+        const hasSnapshotCursor = [this.startCursor, this.endCursor].some(c => c?.snapshot);
+        const orders = effectiveOrders(this.orders, this.filters, hasSnapshotCursor);
+
+        if (orders.length > 0) {
+            structuredQuery.orderBy = orders.map(o => ({
+                field: { fieldPath: o.field },
+                direction: o.direction
+            }));
+        }
+
+        if (this.startCursor) {
+            structuredQuery.startAt = this._cursorToFirestore(this.startCursor, orders);
+        }
+        if (this.endCursor) {
+            structuredQuery.endAt = this._cursorToFirestore(this.endCursor, orders);
+        }
+        if (this.offsetCount) {
+            structuredQuery.offset = this.offsetCount;
+        }
+        if (this.limitCount) {
+            structuredQuery.limit = this.limitCount;
+        }
+
+        return structuredQuery;
+    }
+
+    _filterToFirestore(node) {
+        if (node.type === 'composite') {
+            if (node.filters.length === 1) {
+                return this._filterToFirestore(node.filters[0]);
+            }
+            return {
                 compositeFilter: {
-                    op: 'AND',
-                    filters: this.filters.map(f => ({
-                        fieldFilter: {
-                            field: { fieldPath: f.field },
-                            op: opMap[f.op] || 'EQUAL',
-                            value: toFirestoreValue(f.value)
-                        }
-                    }))
+                    op: node.op,
+                    filters: node.filters.map(f => this._filterToFirestore(f))
                 }
             };
-            if (this.filters.length === 1) {
-                structuredQuery.where = structuredQuery.where.compositeFilter.filters[0];
-            }
         }
 
-        if (this.limitCount) {
-            structuredQuery.limit = this.limitCount;
+        const field = { fieldPath: node.field };
+
+        // Equality against null / NaN has to be sent as a unary filter
+        if ((node.op === '==' || node.op === '!=') && (node.value === null || Number.isNaN(node.value))) {
+            const kind = node.value === null ? 'NULL' : 'NAN';
+            return { unaryFilter: { field, op: node.op === '==' ? `IS_${kind}` : `IS_NOT_${kind}` } };
         }
 
-        const response = await fetch(
-            `https://firestore.googleapis.com/v1/projects/${firebaseConfig.projectId}/databases/(default)/documents:runQuery`,
-            {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ structuredQuery })
+        // Document IDs are matched against full reference names
+        const toValue = value => node.field === '__name__' && typeof value === 'string'
+            ? { referenceValue: getDocumentName(this.collection, value) }
+            : toFirestoreValue(value);
+        const value = ['in', 'not-in', 'array-contains-any'].includes(node.op)
+            ? { arrayValue: { values: node.value.map(toValue) } }
+            : toValue(node.value);
+
+        return { fieldFilter: { field, op: FIELD_OPERATORS[node.op], value } };
+    }
+
+    _cursorToFirestore(cursor, orders) {
+        let values;
+        if (cursor.snapshot) {
+            const data = cursor.snapshot.data() || {};
+            values = orders.map(o => o.field === '__name__'
+                ? { referenceValue: getDocumentName(this.collection, cursor.snapshot.id) }
+                : toFirestoreValue(data[o.field]));
+        } else {
+            if (cursor.values.length > orders.length) {
+                throw new Error('Too many cursor values: provide at most one per orderBy() field');
             }
-        );
+            values = cursor.values.map((value, i) => orders[i].field === '__name__' && typeof value === 'string'
+                ? { referenceValue: getDocumentName(this.collection, value) }
+                : toFirestoreValue(value));
+        }
+        return { values, before: cursor.before };
+    }
+
+    async get() {
+        const token = await getAccessToken();
+        const structuredQuery = this._buildStructuredQuery();
+
+        const response = await fetch(getFirestoreUrl(':runQuery'), {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ structuredQuery })
+        });
 
+        if (!response.ok) {
+            throw await toFirestoreError(response, `query ${this.collection}`);
+        }
         const results = await response.json();
         const docs = results
             .filter(r => r.document)
             .map(r => {
                 const name = r.document.name;
                 const id = name.split('/').pop();
-                return { id, name, fields: r.document.fields };
+                return { id, name, fields: r.document.fields, updateTime: r.document.updateTime };
             });
 
         return new QuerySnapshot(docs, this.collection);
     }
+
+    /**
+     * Run server-side aggregations over the query in a single request.
+     * @param {Object} spec - alias => { count: true } | { sum: field } | { avg: field }
+     * @returns {Promise<Object>} alias => number (avg is null when nothing matched)
+     */
+    async aggregate(spec) {
+        const token = await getAccessToken();
+        const aggregations = Object.entries(spec).map(([alias, aggregation]) => {
+            if (aggregation.count) return { alias, count: {} };
+            if (aggregation.sum) return { alias, sum: { field: { fieldPath: aggregation.sum } } };
+            if (aggregation.avg) return { alias, avg: { field: { fieldPath: aggregation.avg } } };
+            throw new Error(`Unsupported aggregation for ${alias}`);
+        });
+
+        const response = await fetch(getFirestoreUrl(':runAggregationQuery'), {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                structuredAggregationQuery: {
+                    structuredQuery: this._buildStructuredQuery(),
+                    aggregations
+                }
+            })
+        });
+
+        if (!response.ok) {
+            throw await toFirestoreError(response, `aggregate ${this.collection}`);
+        }
+        const results = await response.json();
+        const fields = results.find(r => r.result)?.result.aggregateFields || {};
+
+        const values = {};
+        for (const alias of Object.keys(spec)) {
+            values[alias] = fields[alias] ? parseFirestoreValue(fields[alias]) : null;
+        }
+        return values;
+    }
+
+    async count() {
+        const { count } = await this.aggregate({ count: { count: true } });
+        return count || 0;
+    }
+
+    async sum(field) {
+        const { sum } = await this.aggregate({ sum: { sum: field } });
+        return sum || 0;
+    }
+
+    async average(field) {
+        const { average } = await this.aggregate({ average: { avg: field } });
+        return average;
+    }
+
+    /**
+     * Fetch the query one page at a time, yielding a QuerySnapshot per page.
+     * Honours limit() as an overall cap and offset() for the first page only.
+     */
+    async *paginate(pageSize = DEFAULT_PAGE_SIZE) {
+        let query = this;
+        let remaining = this.limitCount ?? Infinity;
+
+        while (remaining > 0) {
+            const size = Math.min(pageSize, remaining);
+            const snapshot = await query.limit(size).get();
+            if (snapshot.empty) return;
+
+            yield snapshot;
+
+            remaining -= snapshot.size;
+            if (snapshot.size < size) return;
+            query = query.offset(null).startAfter(snapshot.docs[snapshot.size - 1]);
+        }
+    }
+
+    /**
+     * Iterate every matching document across pages: for await (const doc of query)
+     */
+    async *[Symbol.asyncIterator]() {
+        for await (const page of this.paginate()) {
+            yield* page.docs;
+        }
+    }
+}
+
+function toCursor(values, before) {
+    if (values.length === 1 && values[0] instanceof DocumentSnapshot) {
+        return { snapshot: values[0], before };
+    }
+    return { values, before };
+}
+
+class CollectionRef extends QueryRef {
+    constructor(name) {
+        super(name);
+        this.name = name;
+    }
+
+    // Without an id, a new auto-generated one (e.g. to create the document in a batch)
+    doc(id = autoId()) {
+        return new DocumentRef(this.name, id);
+    }
+
+    async add(data) {
+        const id = autoId();
+        await firestoreRpc('commit', {
+            writes: [buildUpdateWrite(this.name, id, data, { exists: false })]
+        });
+        return { id };
+    }
 }
 
 class QuerySnapshot {
     constructor(docs, collection) {
-        this._docs = docs;
+        this.docs = docs.map(doc => new DocumentSnapshot(doc, collection));
         this.collection = collection;
         this.size = docs.length;
         this.empty = docs.length === 0;
     }
 
     forEach(callback) {
-        this._docs.forEach(doc => {
-            callback(new DocumentSnapshot(doc, this.collection));
-        });
+        this.docs.forEach(doc => callback(doc));
     }
 }
 
@@ -340,7 +773,9 @@ class DocumentSnapshot {
         this._doc = doc;
         this.collection = collection;
         this.id = doc.id || doc.name?.split('/').pop();
-        this.exists = !!doc.fields;
+        this.exists = !!(doc.fields || doc.updateTime);
+        // Opaque version string, usable as a lastUpdateTime precondition
+        this.updateTime = doc.updateTime || null;
     }
 
     data() {
@@ -363,84 +798,159 @@ class DocumentRef {
         if (response.status === 404) {
             return new DocumentSnapshot({ id: this.id }, this.collection);
         }
+        if (!response.ok) {
+            throw await toFirestoreError(response, `get ${this.collection}/${this.id}`);
+        }
 
         const data = await response.json();
         return new DocumentSnapshot({ id: this.id, ...data }, this.collection);
     }
 
     async set(obj, options = {}) {
-        const token = await getAccessToken();
-        const doc = objectToDoc(obj);
-
-        let url = getFirestoreUrl(`/${this.collection}/${this.id}`);
-
-        if (options.merge) {
-            const updateMask = Object.keys(obj).map(k => `updateMask.fieldPaths=${k}`).join('&');
-            url += `?${updateMask}`;
-        }
-
-        await fetch(url, {
-            method: 'PATCH',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(doc)
+        await firestoreRpc('commit', {
+            writes: [buildUpdateWrite(this.collection, this.id, obj, { mask: !!options.merge })]
         });
     }
 
     async update(obj) {
-        const token = await getAccessToken();
-        const doc = objectToDoc(obj);
-        const updateMask = Object.keys(obj).map(k => `updateMask.fieldPaths=${k}`).join('&');
-
-        await fetch(getFirestoreUrl(`/${this.collection}/${this.id}?${updateMask}`), {
-            method: 'PATCH',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(doc)
+        await firestoreRpc('commit', {
+            writes: [buildUpdateWrite(this.collection, this.id, obj, { mask: true, exists: true })]
         });
     }
 
     async delete() {
         const token = await getAccessToken();
-        await fetch(getFirestoreUrl(`/${this.collection}/${this.id}`), {
+        const response = await fetch(getFirestoreUrl(`/${this.collection}/${this.id}`), {
             method: 'DELETE',
             headers: { 'Authorization': `Bearer ${token}` }
         });
+        if (!response.ok) {
+            throw await toFirestoreError(response, `delete ${this.collection}/${this.id}`);
+        }
     }
 }
 
-class TransactionBatch {
-    constructor() {
-        this.operations = [];
+class Transaction {
+    constructor(id) {
+        this.id = id;
+        this.writes = [];
+    }
+
+    async get(ref) {
+        if (this.writes.length > 0) {
+            throw new Error('Firestore transactions require all reads to be executed before all writes');
+        }
+
+        const token = await getAccessToken();
+        const transaction = encodeURIComponent(this.id);
+        const response = await fetch(getFirestoreUrl(`/${ref.collection}/${ref.id}?transaction=${transaction}`), {
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+
+        if (response.status === 404) {
+            return new DocumentSnapshot({ id: ref.id }, ref.collection);
+        }
+
+        if (!response.ok) {
+            throw await toFirestoreError(response, `transactional get ${ref.collection}/${ref.id}`);
+        }
+
+        const data = await response.json();
+        return new DocumentSnapshot({ id: ref.id, ...data }, ref.collection);
     }
 
     update(ref, data) {
-        this.operations.push({ type: 'update', ref, data });
+        this.writes.push(buildUpdateWrite(ref.collection, ref.id, data, { mask: true, exists: true }));
+        return this;
     }
 
     set(ref, data, options = {}) {
-        this.operations.push({ type: 'set', ref, data, options });
+        this.writes.push(buildUpdateWrite(ref.collection, ref.id, data, { mask: !!options.merge }));
+        return this;
+    }
+
+    delete(ref) {
+        this.writes.push(buildDeleteWrite(ref.collection, ref.id));
+        return this;
+    }
+}
+
+/**
+ * Multi-document write applied atomically in a single commit call.
+ * update() and delete() accept a precondition: { exists } or { lastUpdateTime }
+ * (a DocumentSnapshot.updateTime), failing the whole batch if it no longer holds.
+ */
+class WriteBatch {
+    constructor() {
+        this.writes = [];
+        this.committed = false;
+    }
+
+    _push(write) {
+        if (this.committed) {
+            throw new Error('Cannot modify a WriteBatch that has been committed');
+        }
+        if (this.writes.length >= MAX_BATCH_WRITES) {
+            throw new Error(`A batch can contain at most ${MAX_BATCH_WRITES} writes`);
+        }
+        this.writes.push(write);
+        return this;
+    }
+
+    create(ref, data) {
+        return this._push(buildUpdateWrite(ref.collection, ref.id, data, { exists: false }));
+    }
+
+    set(ref, data, options = {}) {
+        return this._push(buildUpdateWrite(ref.collection, ref.id, data, { mask: !!options.merge }));
+    }
+
+    update(ref, data, precondition = {}) {
+        const { lastUpdateTime } = precondition;
+        return this._push(buildUpdateWrite(ref.collection, ref.id, data, {
+            mask: true,
+            exists: lastUpdateTime ? undefined : true,
+            lastUpdateTime
+        }));
+    }
+
+    delete(ref, precondition = {}) {
+        return this._push(buildDeleteWrite(ref.collection, ref.id, precondition));
     }
 
     async commit() {
-        for (const op of this.operations) {
-            if (op.type === 'update') {
-                await op.ref.update(op.data);
-            } else if (op.type === 'set') {
-                await op.ref.set(op.data, op.options);
-            }
+        if (this.committed) {
+            throw new Error('WriteBatch has already been committed');
+        }
+        this.committed = true;
+        if (this.writes.length === 0) {
+            return [];
         }
+
+        const result = await firestoreRpc('commit', { writes: this.writes });
+        return result.writeResults || [];
     }
 }
 
+/**
+ * Storage backend contract, implemented by FirestoreDB here and MemoryDB in memory-db.js:
+ *   db.collection(name)      -> CollectionRef (a QueryRef plus doc(id?) and add())
+ *   QueryRef                 -> where (field ops or Filter.and/or), orderBy, limit, offset, startAt/startAfter/endBefore/endAt,
+ *                               get, paginate, aggregate/count/sum/average, for await...of
+ *   DocumentRef              -> get, set(data, { merge }), update, delete
+ *   Values                   -> Date/Timestamp, Uint8Array, DocumentRef, GeoPoint and BigInt round-trip
+ *   db.runTransaction(fn)    -> fn(transaction) with get/set/update/delete
+ *   db.batch()               -> create/set/update/delete (+ preconditions), commit()
+ * Written data may contain FieldValue sentinels; failures are the classes in errors.js.
+ */
+
 // Singleton instance
 let dbInstance = null;
 
 export function getDb() {
+    if (storageBackend === 'memory') {
+        return getMemoryDb(memorySeed);
+    }
     if (!dbInstance) {
         dbInstance = new FirestoreDB();
     }
@@ -450,7 +960,11 @@ export function getDb() {
 // Field value helpers (mimicking Admin SDK)
 export const FieldValue = {
     increment: (n) => ({ __fieldTransform: 'increment', value: n }),
-    serverTimestamp: () => ({ __fieldTransform: 'serverTimestamp' })
+    maximum: (n) => ({ __fieldTransform: 'maximum', value: n }),
+    minimum: (n) => ({ __fieldTransform: 'minimum', value: n }),
+    serverTimestamp: () => ({ __fieldTransform: 'serverTimestamp' }),
+    arrayUnion: (...elements) => ({ __fieldTransform: 'arrayUnion', elements }),
+    arrayRemove: (...elements) => ({ __fieldTransform: 'arrayRemove', elements })
 };
 
 export function getAdmin() {
@@ -0,0 +1,8 @@
+/**
+ * Escaping for text placed in Telegram HTML messages
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -0,0 +1,84 @@
+/**
+ * One-time login codes for passwordless user login.
+ * Codes are stored hashed in login_codes/{email} and can be used once.
+ */
+import { toMillis } from './values.js';
+import { sha256Hex, timingSafeEqual } from './crypto-utils.js';
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const RESEND_INTERVAL_MS = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+function hashCode(email, code) {
+    return sha256Hex(`${email}:${code}`);
+}
+
+function randomCode() {
+    const value = new Uint32Array(1);
+    crypto.getRandomValues(value);
+    return String(value[0] % 1000000).padStart(6, '0');
+}
+
+/**
+ * Create a new code for an email, replacing any earlier one
+ * @param {Object} db - Database from getDb()
+ * @param {string} email
+ * @returns {Promise<{code: string, expiresAt: Date}|{error: string, status: number}>}
+ */
+export async function issueLoginCode(db, email) {
+    const ref = db.collection('login_codes').doc(email);
+    const existing = await ref.get();
+    if (existing.exists && Date.now() - toMillis(existing.data().createdAt) < RESEND_INTERVAL_MS) {
+        return { error: 'A code was sent recently. Please wait a minute before requesting another.', status: 429 };
+    }
+
+    const code = randomCode();
+    const expiresAt = new Date(Date.now() + CODE_TTL_MS);
+    await ref.set({
+        codeHash: await hashCode(email, code),
+        attempts: 0,
+        createdAt: new Date(),
+        expiresAt
+    });
+
+    return { code, expiresAt };
+}
+
+/**
+ * Check a code and use it up. Wrong guesses count towards MAX_ATTEMPTS,
+ * after which the code is discarded.
+ * @param {Object} db - Database from getDb()
+ * @param {string} email
+ * @param {string} code
+ * @returns {Promise<{success: true}|{error: string, status: number}>}
+ */
+export async function consumeLoginCode(db, email, code) {
+    const codeHash = await hashCode(email, String(code).trim());
+    const ref = db.collection('login_codes').doc(email);
+
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) {
+            return { error: 'No login code requested for this email', status: 400 };
+        }
+
+        const data = doc.data();
+        if (toMillis(data.expiresAt) <= Date.now()) {
+            transaction.delete(ref);
+            return { error: 'Login code expired. Please request a new one.', status: 400 };
+        }
+
+        if (!timingSafeEqual(data.codeHash, codeHash)) {
+            const attempts = (data.attempts || 0) + 1;
+            if (attempts >= MAX_ATTEMPTS) {
+                transaction.delete(ref);
+                return { error: 'Too many incorrect codes. Please request a new one.', status: 429 };
+            }
+            transaction.update(ref, { attempts });
+            return { error: 'Invalid login code', status: 401 };
+        }
+
+        transaction.delete(ref);
+        return { success: true };
+    });
+}
@@ -0,0 +1,83 @@
+/**
+ * Outgoing mail with pluggable transports, selected by the MAIL_TRANSPORT binding:
+ *   console           - log the message, for local development only
+ *   file              - append JSON lines to MAIL_OUTBOX_FILE (scripts and tests run under Node)
+ *   resend            - send through the Resend HTTP API (RESEND_API_KEY, MAIL_FROM)
+ * Other transports can be added with registerMailTransport().
+ * There is no default: without MAIL_TRANSPORT sendMail() throws, so login codes
+ * and passwords are never just logged in production.
+ */
+
+const transports = {
+    async console(message) {
+        console.log(`[Mail] To: ${message.to}\n[Mail] Subject: ${message.subject}\n${message.text}`);
+    },
+
+    async file(message, env) {
+        // node:fs is only available when the handlers run under Node, not in Workers
+        const { appendFile } = await import('node:fs/promises');
+        const path = env.MAIL_OUTBOX_FILE || 'mail-outbox.jsonl';
+        await appendFile(path, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+        console.log(`[Mail] Wrote message for ${message.to} to ${path}`);
+    },
+
+    async resend(message, env) {
+        if (!env.RESEND_API_KEY || !env.MAIL_FROM) {
+            throw new Error('RESEND_API_KEY and MAIL_FROM are required for the resend mail transport');
+        }
+
+        const response = await fetch('https://api.resend.com/emails', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${env.RESEND_API_KEY}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                from: env.MAIL_FROM,
+                to: [message.to],
+                subject: message.subject,
+                text: message.text,
+                html: message.html
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Resend API error ${response.status}: ${await response.text()}`);
+        }
+    }
+};
+
+/**
+ * Add or replace a transport
+ * @param {string} name - Value of MAIL_TRANSPORT that selects it
+ * @param {Function} transport - async (message, env) => void
+ */
+export function registerMailTransport(name, transport) {
+    transports[name] = transport;
+}
+
+/**
+ * Whether a mail transport has been chosen
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {boolean}
+ */
+export function isMailConfigured(env) {
+    return Boolean(env.MAIL_TRANSPORT);
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html? }
+ * @param {Object} env - Cloudflare environment bindings
+ */
+export async function sendMail(message, env) {
+    if (!isMailConfigured(env)) {
+        throw new Error('MAIL_TRANSPORT is not set; choose a mail transport (functions/lib/mailer.js)');
+    }
+    const name = env.MAIL_TRANSPORT;
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected one of: ${Object.keys(transports).join(', ')})`);
+    }
+    await transport(message, env);
+}
@@ -0,0 +1,666 @@
+/**
+ * In-memory storage backend for local development and tests.
+ * Implements the same surface as FirestoreDB in firebase.js so API handlers
+ * run unchanged. Select it with the STORAGE_BACKEND = "memory" binding.
+ */
+import { NotFoundError, FailedPreconditionError, AbortedError } from './errors.js';
+import { toFilterNode, effectiveOrders } from './filters.js';
+import { Timestamp, GeoPoint, parseInteger } from './values.js';
+import { randomString } from './crypto-utils.js';
+
+const DEFAULT_PAGE_SIZE = 300;
+
+const MAX_BATCH_WRITES = 500;
+
+const DIRECTIONS = { asc: 'ASCENDING', desc: 'DESCENDING' };
+
+const AUTO_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Generate a 20-character document ID (same alphabet as the Admin SDK)
+ */
+function autoId() {
+    return randomString(AUTO_ID_ALPHABET, 20);
+}
+
+function isSentinel(value) {
+    return !!value && typeof value === 'object' && !!value.__fieldTransform;
+}
+
+/**
+ * Copy a value into (or out of) storage, converting Dates to Timestamps and
+ * rejecting FieldValue sentinels below the top level (the REST client rejects
+ * them the same way)
+ */
+function toStored(value) {
+    if (value === undefined || value === null) return null;
+    if (isSentinel(value)) {
+        throw new Error(`FieldValue.${value.__fieldTransform}() can only be used as a top-level field in set() or update()`);
+    }
+    if (value instanceof Date) return Timestamp.fromDate(value);
+    // Stored the way parseInteger() reads integers back from the REST API
+    if (typeof value === 'bigint') return parseInteger(value);
+    if (value instanceof Uint8Array) return value.slice();
+    // Immutable value types are stored as-is
+    if (value instanceof Timestamp || value instanceof GeoPoint || value instanceof MemoryDocumentRef) return value;
+    if (Array.isArray(value)) return value.map(toStored);
+    if (typeof value === 'object') {
+        const obj = {};
+        for (const [key, nested] of Object.entries(value)) {
+            obj[key] = toStored(nested);
+        }
+        return obj;
+    }
+    return value;
+}
+
+// Firestore orders values of different types by type first
+function typeRank(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'boolean') return 1;
+    if (typeof value === 'number' || typeof value === 'bigint') return 2;
+    if (value instanceof Timestamp) return 3;
+    if (typeof value === 'string') return 4;
+    if (value instanceof Uint8Array) return 5;
+    if (value instanceof MemoryDocumentRef) return 6;
+    if (value instanceof GeoPoint) return 7;
+    if (Array.isArray(value)) return 8;
+    return 9;
+}
+
+function compareValues(a, b) {
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA !== rankB) return rankA - rankB;
+
+    switch (rankA) {
+        case 0:
+            return 0;
+        case 1:
+            return Number(a) - Number(b);
+        case 2:
+        case 4:
+            return a < b ? -1 : a > b ? 1 : 0;
+        case 3:
+            return a.seconds - b.seconds || a.nanoseconds - b.nanoseconds;
+        case 5:
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                if (a[i] !== b[i]) return a[i] - b[i];
+            }
+            return a.length - b.length;
+        case 6:
+            return compareValues(`${a.collection}/${a.id}`, `${b.collection}/${b.id}`);
+        case 7:
+            return a.latitude - b.latitude || a.longitude - b.longitude;
+        case 8:
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                const result = compareValues(a[i], b[i]);
+                if (result !== 0) return result;
+            }
+            return a.length - b.length;
+        default: {
+            const keysA = Object.keys(a).sort();
+            const keysB = Object.keys(b).sort();
+            for (let i = 0; i < Math.min(keysA.length, keysB.length); i++) {
+                if (keysA[i] !== keysB[i]) return keysA[i] < keysB[i] ? -1 : 1;
+                const result = compareValues(a[keysA[i]], b[keysB[i]]);
+                if (result !== 0) return result;
+            }
+            return keysA.length - keysB.length;
+        }
+    }
+}
+
+function isEqual(a, b) {
+    return typeRank(a) === typeRank(b) && compareValues(a, b) === 0;
+}
+
+// Integer transforms go through BigInt once either side is beyond Number's safe range
+function addIntegers(a, b) {
+    if (typeof a === 'bigint' || typeof b === 'bigint') return parseInteger(BigInt(a) + BigInt(b));
+    return a + b;
+}
+
+function applyTransform(current, sentinel) {
+    const operand = toStored(sentinel.value);
+    const numeric = typeRank(current) === 2;
+    switch (sentinel.__fieldTransform) {
+        case 'increment':
+            return addIntegers(numeric ? current : 0, operand);
+        case 'maximum':
+            return numeric && compareValues(current, operand) >= 0 ? current : operand;
+        case 'minimum':
+            return numeric && compareValues(current, operand) <= 0 ? current : operand;
+        case 'serverTimestamp':
+            return Timestamp.now();
+        case 'arrayUnion': {
+            const values = Array.isArray(current) ? [...current] : [];
+            for (const element of sentinel.elements.map(toStored)) {
+                if (!values.some(v => isEqual(v, element))) values.push(element);
+            }
+            return values;
+        }
+        case 'arrayRemove': {
+            const removed = sentinel.elements.map(toStored);
+            return Array.isArray(current) ? current.filter(v => !removed.some(r => isEqual(v, r))) : [];
+        }
+        default:
+            throw new Error(`Unsupported field transform: ${sentinel.__fieldTransform}`);
+    }
+}
+
+function getField(doc, fieldPath) {
+    if (fieldPath === '__name__') return doc.id;
+    return fieldPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), doc.data);
+}
+
+function matchesFilter(doc, node) {
+    if (node.type === 'composite') {
+        return node.op === 'OR'
+            ? node.filters.some(f => matchesFilter(doc, f))
+            : node.filters.every(f => matchesFilter(doc, f));
+    }
+
+    const { field, op } = node;
+    const value = toStored(node.value);
+    const actual = getField(doc, field);
+    if (actual === undefined) return false;
+
+    const ranged = typeRank(actual) === typeRank(value);
+    switch (op) {
+        case '==': return isEqual(actual, value);
+        case '!=': return !isEqual(actual, value);
+        case '<': return ranged && compareValues(actual, value) < 0;
+        case '<=': return ranged && compareValues(actual, value) <= 0;
+        case '>': return ranged && compareValues(actual, value) > 0;
+        case '>=': return ranged && compareValues(actual, value) >= 0;
+        case 'in': return value.some(v => isEqual(actual, v));
+        case 'not-in': return !value.some(v => isEqual(actual, v));
+        case 'array-contains': return Array.isArray(actual) && actual.some(v => isEqual(v, value));
+        case 'array-contains-any': return Array.isArray(actual) && actual.some(v => value.some(x => isEqual(v, x)));
+        default: throw new Error(`Invalid query operator: ${op}`);
+    }
+}
+
+class MemoryQueryRef {
+    constructor(db, collection, options = {}) {
+        this.db = db;
+        this.collection = collection;
+        this.filters = options.filters || [];
+        this.orders = options.orders || [];
+        this.limitCount = options.limitCount ?? null;
+        this.offsetCount = options.offsetCount ?? null;
+        this.startCursor = options.startCursor || null;
+        this.endCursor = options.endCursor || null;
+    }
+
+    _with(changes) {
+        return new MemoryQueryRef(this.db, this.collection, {
+            filters: this.filters,
+            orders: this.orders,
+            limitCount: this.limitCount,
+            offsetCount: this.offsetCount,
+            startCursor: this.startCursor,
+            endCursor: this.endCursor,
+            ...changes
+        });
+    }
+
+    where(fieldOrFilter, op, value) {
+        return this._with({ filters: [...this.filters, toFilterNode(fieldOrFilter, op, value)] });
+    }
+
+    orderBy(field, direction = 'asc') {
+        const resolved = DIRECTIONS[String(direction).toLowerCase()];
+        if (!resolved) {
+            throw new Error(`Invalid orderBy direction: ${direction}`);
+        }
+        return this._with({ orders: [...this.orders, { field, direction: resolved }] });
+    }
+
+    limit(n) {
+        return this._with({ limitCount: n });
+    }
+
+    offset(n) {
+        return this._with({ offsetCount: n });
+    }
+
+    startAt(...values) {
+        return this._with({ startCursor: toCursor(values, true) });
+    }
+
+    startAfter(...values) {
+        return this._with({ startCursor: toCursor(values, false) });
+    }
+
+    endBefore(...values) {
+        return this._with({ endCursor: toCursor(values, true) });
+    }
+
+    endAt(...values) {
+        return this._with({ endCursor: toCursor(values, false) });
+    }
+
+    /**
+     * Evaluate the query against the store, returning { id, data } records
+     */
+    _run() {
+        const hasSnapshotCursor = [this.startCursor, this.endCursor].some(c => c?.snapshot);
+        const orders = effectiveOrders(this.orders, this.filters, hasSnapshotCursor);
+
+        // Documents missing an orderBy field are excluded, as in Firestore
+        let docs = this.db._list(this.collection)
+            .filter(doc => this.filters.every(f => matchesFilter(doc, f)))
+            .filter(doc => orders.every(o => getField(doc, o.field) !== undefined));
+
+        const lastDirection = orders.length > 0 ? orders[orders.length - 1].direction : 'ASCENDING';
+        docs.sort((a, b) => {
+            for (const o of orders) {
+                const result = compareValues(getField(a, o.field), getField(b, o.field));
+                if (result !== 0) return o.direction === 'DESCENDING' ? -result : result;
+            }
+            const byName = a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+            return lastDirection === 'DESCENDING' ? -byName : byName;
+        });
+
+        if (this.startCursor) {
+            const values = this._cursorValues(this.startCursor, orders);
+            docs = docs.filter(doc => {
+                const result = compareToCursor(doc, values, orders);
+                return this.startCursor.before ? result >= 0 : result > 0;
+            });
+        }
+        if (this.endCursor) {
+            const values = this._cursorValues(this.endCursor, orders);
+            docs = docs.filter(doc => {
+                const result = compareToCursor(doc, values, orders);
+                return this.endCursor.before ? result < 0 : result <= 0;
+            });
+        }
+
+        if (this.offsetCount) docs = docs.slice(this.offsetCount);
+        if (this.limitCount) docs = docs.slice(0, this.limitCount);
+        return docs;
+    }
+
+    _cursorValues(cursor, orders) {
+        if (cursor.snapshot) {
+            const doc = { id: cursor.snapshot.id, data: cursor.snapshot.data() || {} };
+            return orders.map(o => getField(doc, o.field));
+        }
+        if (cursor.values.length > orders.length) {
+            throw new Error('Too many cursor values: provide at most one per orderBy() field');
+        }
+        return cursor.values.map(toStored);
+    }
+
+    async get() {
+        const docs = this._run();
+        return new MemoryQuerySnapshot(docs.map(doc => new MemoryDocumentSnapshot(doc.id, doc.data, this.collection, doc.updateTime)));
+    }
+
+    async aggregate(spec) {
+        const docs = this._run();
+        const values = {};
+
+        for (const [alias, aggregation] of Object.entries(spec)) {
+            if (aggregation.count) {
+                values[alias] = docs.length;
+                continue;
+            }
+
+            const field = aggregation.sum || aggregation.avg;
+            if (!field) {
+                throw new Error(`Unsupported aggregation for ${alias}`);
+            }
+            const numbers = docs.map(doc => getField(doc, field)).filter(v => typeof v === 'number');
+            const total = numbers.reduce((sum, n) => sum + n, 0);
+            values[alias] = aggregation.sum ? total : (numbers.length > 0 ? total / numbers.length : null);
+        }
+        return values;
+    }
+
+    async count() {
+        const { count } = await this.aggregate({ count: { count: true } });
+        return count;
+    }
+
+    async sum(field) {
+        const { sum } = await this.aggregate({ sum: { sum: field } });
+        return sum;
+    }
+
+    async average(field) {
+        const { average } = await this.aggregate({ average: { avg: field } });
+        return average;
+    }
+
+    async *paginate(pageSize = DEFAULT_PAGE_SIZE) {
+        let query = this;
+        let remaining = this.limitCount ?? Infinity;
+
+        while (remaining > 0) {
+            const size = Math.min(pageSize, remaining);
+            const snapshot = await query.limit(size).get();
+            if (snapshot.empty) return;
+
+            yield snapshot;
+
+            remaining -= snapshot.size;
+            if (snapshot.size < size) return;
+            query = query.offset(null).startAfter(snapshot.docs[snapshot.size - 1]);
+        }
+    }
+
+    async *[Symbol.asyncIterator]() {
+        for await (const page of this.paginate()) {
+            yield* page.docs;
+        }
+    }
+}
+
+function toCursor(values, before) {
+    if (values.length === 1 && values[0] instanceof MemoryDocumentSnapshot) {
+        return { snapshot: values[0], before };
+    }
+    return { values, before };
+}
+
+function compareToCursor(doc, values, orders) {
+    for (let i = 0; i < values.length; i++) {
+        const result = compareValues(getField(doc, orders[i].field), values[i]);
+        if (result !== 0) return orders[i].direction === 'DESCENDING' ? -result : result;
+    }
+    return 0;
+}
+
+class MemoryCollectionRef extends MemoryQueryRef {
+    constructor(db, name) {
+        super(db, name);
+        this.name = name;
+    }
+
+    // Without an id, a new auto-generated one (e.g. to create the document in a batch)
+    doc(id = autoId()) {
+        return new MemoryDocumentRef(this.db, this.name, id);
+    }
+
+    async add(data) {
+        const id = autoId();
+        this.db._commit([{ type: 'create', collection: this.name, id, data }]);
+        return { id };
+    }
+}
+
+class MemoryDocumentRef {
+    constructor(db, collection, id) {
+        this.db = db;
+        this.collection = collection;
+        this.id = id;
+    }
+
+    async get() {
+        const doc = this.db._read(this.collection, this.id);
+        return new MemoryDocumentSnapshot(this.id, doc?.data ?? null, this.collection, doc?.updateTime);
+    }
+
+    async set(data, options = {}) {
+        this.db._commit([{ type: 'set', collection: this.collection, id: this.id, data, merge: !!options.merge }]);
+    }
+
+    async update(data) {
+        this.db._commit([{ type: 'update', collection: this.collection, id: this.id, data }]);
+    }
+
+    async delete() {
+        this.db._commit([{ type: 'delete', collection: this.collection, id: this.id }]);
+    }
+}
+
+class MemoryQuerySnapshot {
+    constructor(docs) {
+        this.docs = docs;
+        this.size = docs.length;
+        this.empty = docs.length === 0;
+    }
+
+    forEach(callback) {
+        this.docs.forEach(doc => callback(doc));
+    }
+}
+
+class MemoryDocumentSnapshot {
+    constructor(id, data, collection, updateTime = null) {
+        this.id = id;
+        this.collection = collection;
+        this.exists = data !== null;
+        this.updateTime = updateTime;
+        this._data = data;
+    }
+
+    data() {
+        return this._data === null ? null : toStored(this._data);
+    }
+}
+
+class MemoryTransaction {
+    constructor(db) {
+        this.db = db;
+        this.reads = new Map();
+        this.writes = [];
+    }
+
+    async get(ref) {
+        if (this.writes.length > 0) {
+            throw new Error('Firestore transactions require all reads to be executed before all writes');
+        }
+
+        const doc = this.db._read(ref.collection, ref.id);
+        this.reads.set(`${ref.collection}/${ref.id}`, doc?.version ?? null);
+        return new MemoryDocumentSnapshot(ref.id, doc?.data ?? null, ref.collection, doc?.updateTime);
+    }
+
+    update(ref, data) {
+        this.writes.push({ type: 'update', collection: ref.collection, id: ref.id, data });
+        return this;
+    }
+
+    set(ref, data, options = {}) {
+        this.writes.push({ type: 'set', collection: ref.collection, id: ref.id, data, merge: !!options.merge });
+        return this;
+    }
+
+    delete(ref) {
+        this.writes.push({ type: 'delete', collection: ref.collection, id: ref.id });
+        return this;
+    }
+}
+
+class MemoryWriteBatch {
+    constructor(db) {
+        this.db = db;
+        this.writes = [];
+        this.committed = false;
+    }
+
+    _push(write) {
+        if (this.committed) {
+            throw new Error('Cannot modify a WriteBatch that has been committed');
+        }
+        if (this.writes.length >= MAX_BATCH_WRITES) {
+            throw new Error(`A batch can contain at most ${MAX_BATCH_WRITES} writes`);
+        }
+        this.writes.push(write);
+        return this;
+    }
+
+    create(ref, data) {
+        return this._push({ type: 'create', collection: ref.collection, id: ref.id, data });
+    }
+
+    set(ref, data, options = {}) {
+        return this._push({ type: 'set', collection: ref.collection, id: ref.id, data, merge: !!options.merge });
+    }
+
+    update(ref, data, precondition = {}) {
+        return this._push({ type: 'update', collection: ref.collection, id: ref.id, data, precondition });
+    }
+
+    delete(ref, precondition = {}) {
+        return this._push({ type: 'delete', collection: ref.collection, id: ref.id, precondition });
+    }
+
+    async commit() {
+        if (this.committed) {
+            throw new Error('WriteBatch has already been committed');
+        }
+        this.committed = true;
+        this.db._commit(this.writes);
+        return this.writes.map(() => ({}));
+    }
+}
+
+export class MemoryDB {
+    /**
+     * @param {Object} seed - Optional initial data: { collection: { id: data } }
+     */
+    constructor(seed = {}) {
+        this.collections = new Map();
+        this.clock = 0;
+        this.lastUpdateMs = 0;
+
+        for (const [collection, docs] of Object.entries(seed)) {
+            for (const [id, data] of Object.entries(docs)) {
+                this._commit([{ type: 'set', collection, id, data }]);
+            }
+        }
+    }
+
+    collection(name) {
+        return new MemoryCollectionRef(this, name);
+    }
+
+    batch() {
+        return new MemoryWriteBatch(this);
+    }
+
+    /**
+     * Optimistic transaction: reads record document versions and the commit
+     * is retried from scratch when any of them changed in the meantime.
+     */
+    async runTransaction(updateFunction, { maxAttempts = 5 } = {}) {
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const transaction = new MemoryTransaction(this);
+            const result = await updateFunction(transaction);
+
+            try {
+                this._commit(transaction.writes, transaction.reads);
+                return result;
+            } catch (error) {
+                if (!(error instanceof AbortedError) || attempt === maxAttempts) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Remove every document (useful between tests)
+     */
+    reset() {
+        this.collections.clear();
+    }
+
+    _docs(collection) {
+        if (!this.collections.has(collection)) {
+            this.collections.set(collection, new Map());
+        }
+        return this.collections.get(collection);
+    }
+
+    _read(collection, id) {
+        return this._docs(collection).get(id) || null;
+    }
+
+    _list(collection) {
+        return [...this._docs(collection).entries()].map(([id, doc]) => ({ id, data: doc.data, updateTime: doc.updateTime }));
+    }
+
+    /**
+     * Apply writes atomically: either all of them land or none do
+     */
+    _commit(writes, reads = new Map()) {
+        for (const [path, version] of reads) {
+            const [collection, id] = path.split('/');
+            if ((this._read(collection, id)?.version ?? null) !== version) {
+                throw new AbortedError(`Transaction aborted: ${path} was modified concurrently`, { status: 409, code: 'ABORTED' });
+            }
+        }
+
+        const previous = new Map();
+        try {
+            for (const write of writes) {
+                const path = `${write.collection}/${write.id}`;
+                if (!previous.has(path)) {
+                    previous.set(path, this._read(write.collection, write.id));
+                }
+                this._applyWrite(write);
+            }
+        } catch (error) {
+            for (const [path, doc] of previous) {
+                const [collection, id] = path.split('/');
+                if (doc) this._docs(collection).set(id, doc);
+                else this._docs(collection).delete(id);
+            }
+            throw error;
+        }
+    }
+
+    _applyWrite({ type, collection, id, data, merge, precondition = {} }) {
+        const docs = this._docs(collection);
+        const existing = docs.get(id);
+        const path = `${collection}/${id}`;
+
+        if (precondition.lastUpdateTime && existing?.updateTime !== precondition.lastUpdateTime) {
+            throw new FailedPreconditionError(`Document changed since it was read: ${path}`, { status: 400, code: 'FAILED_PRECONDITION' });
+        }
+        if ((type === 'update' || precondition.exists === true) && !existing) {
+            throw new NotFoundError(`No document to ${type}: ${path}`, { status: 404, code: 'NOT_FOUND' });
+        }
+        if ((type === 'create' || precondition.exists === false) && existing) {
+            throw new FailedPreconditionError(`Document already exists: ${path}`, { status: 409, code: 'ALREADY_EXISTS' });
+        }
+
+        if (type === 'delete') {
+            docs.delete(id);
+            return;
+        }
+
+        // update and merge-set only touch the top-level fields they name
+        const next = (type === 'update' || merge) && existing ? { ...existing.data } : {};
+        for (const [key, value] of Object.entries(data)) {
+            next[key] = isSentinel(value) ? applyTransform(next[key], value) : toStored(value);
+        }
+        docs.set(id, { data: next, version: ++this.clock, updateTime: this._nextUpdateTime() });
+    }
+
+    // Strictly increasing, so every write gets a distinct updateTime
+    _nextUpdateTime() {
+        this.lastUpdateMs = Math.max(Date.now(), this.lastUpdateMs + 1);
+        return new Date(this.lastUpdateMs).toISOString();
+    }
+}
+
+let memoryDb = null;
+
+/**
+ * Shared in-memory database for the current isolate
+ * @param {string|Object} seed - Initial data (JSON string or object), used on first call only
+ */
+export function getMemoryDb(seed = null) {
+    if (!memoryDb) {
+        memoryDb = new MemoryDB(typeof seed === 'string' ? JSON.parse(seed) : (seed || {}));
+    }
+    return memoryDb;
+}
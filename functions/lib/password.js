@@ -1,17 +1,7 @@
 /**
  * Password utilities using Web Crypto API (Cloudflare Workers compatible)
  */
-
-/**
- * Convert ArrayBuffer to hex string
- * @param {ArrayBuffer} buffer
- * @returns {string}
- */
-function bufferToHex(buffer) {
-    return [...new Uint8Array(buffer)]
-        .map(b => b.toString(16).padStart(2, '0'))
-        .join('');
-}
+import { bytesToHex, timingSafeEqual, randomString } from './crypto-utils.js';
 
 /**
  * Convert hex string to Uint8Array
@@ -34,14 +24,43 @@ function hexToBuffer(hex) {
 function randomHex(length) {
     const bytes = new Uint8Array(length);
     crypto.getRandomValues(bytes);
-    return bufferToHex(bytes);
+    return bytesToHex(bytes);
+}
+
+// Stored hashes look like "pbkdf2-sha256$<iterations>$<salt hex>$<hash hex>".
+// Older entries are "<sha256 hex>:<salt hex>" and are upgraded on the next login.
+const HASH_SCHEME = 'pbkdf2-sha256';
+// Cloudflare Workers rejects PBKDF2 above 100,000 iterations
+const PBKDF2_ITERATIONS = 100000;
+const HASH_BYTES = 32;
+
+/**
+ * Derive a PBKDF2-SHA256 key from a password
+ * @param {string} password
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function pbkdf2(password, salt, iterations) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    return crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        keyMaterial,
+        HASH_BYTES * 8
+    );
 }
 
 /**
- * Hash a password using SHA-256 with salt
+ * Hash a password using PBKDF2-SHA256 with a random salt
  * @param {string} password - Plain text password
- * @param {string} salt - Optional salt (will generate if not provided)
- * @returns {Promise<Object>} - Object containing hash and salt
+ * @param {string} salt - Optional hex salt (will generate if not provided)
+ * @returns {Promise<Object>} - Object containing hash, salt, iterations and the storable fullHash
  */
 export async function hashPassword(password, salt = null) {
     if (!password) {
@@ -53,23 +72,20 @@ export async function hashPassword(password, salt = null) {
         salt = randomHex(16);
     }
 
-    // Hash password with salt using SHA-256
-    const encoder = new TextEncoder();
-    const data = encoder.encode(password + salt);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hash = bufferToHex(hashBuffer);
+    const hash = bytesToHex(await pbkdf2(password, hexToBuffer(salt), PBKDF2_ITERATIONS));
 
     return {
         hash: hash,
         salt: salt,
-        fullHash: `${hash}:${salt}`
+        iterations: PBKDF2_ITERATIONS,
+        fullHash: `${HASH_SCHEME}$${PBKDF2_ITERATIONS}$${salt}$${hash}`
     };
 }
 
 /**
  * Verify a password against a stored hash
  * @param {string} password - Plain text password to verify
- * @param {string} storedHash - Stored hash in format "hash:salt"
+ * @param {string} storedHash - "pbkdf2-sha256$iterations$salt$hash", or legacy "hash:salt"
  * @returns {Promise<boolean>} - True if password matches
  */
 export async function verifyPassword(password, storedHash) {
@@ -78,37 +94,46 @@ export async function verifyPassword(password, storedHash) {
     }
 
     try {
-        const [hash, salt] = storedHash.split(':');
-
-        if (!hash || !salt) {
-            return false;
-        }
-
-        // Hash the provided password with the stored salt
-        const encoder = new TextEncoder();
-        const data = encoder.encode(password + salt);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-        const computedHash = bufferToHex(hashBuffer);
-
-        // Timing-safe comparison
-        const hashBytes = hexToBuffer(hash);
-        const computedBytes = hexToBuffer(computedHash);
-
-        if (hashBytes.length !== computedBytes.length) {
-            return false;
+        let expected;
+        let computed;
+
+        if (storedHash.startsWith(`${HASH_SCHEME}$`)) {
+            const [, iterations, salt, hash] = storedHash.split('$');
+            if (!salt || !hash || !(parseInt(iterations, 10) > 0)) {
+                return false;
+            }
+            expected = hexToBuffer(hash);
+            computed = new Uint8Array(await pbkdf2(password, hexToBuffer(salt), parseInt(iterations, 10)));
+        } else {
+            // Legacy single-round salted SHA-256
+            const [hash, salt] = storedHash.split(':');
+            if (!hash || !salt) {
+                return false;
+            }
+            expected = hexToBuffer(hash);
+            computed = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password + salt)));
         }
 
-        let result = 0;
-        for (let i = 0; i < hashBytes.length; i++) {
-            result |= hashBytes[i] ^ computedBytes[i];
-        }
-        return result === 0;
+        return timingSafeEqual(expected, computed);
     } catch (error) {
         console.error('Password verification error:', error);
         return false;
     }
 }
 
+/**
+ * Whether a stored hash should be replaced after a successful login
+ * (legacy format or fewer iterations than the current setting)
+ * @param {string} storedHash
+ * @returns {boolean}
+ */
+export function needsRehash(storedHash) {
+    if (!storedHash || !storedHash.startsWith(`${HASH_SCHEME}$`)) {
+        return true;
+    }
+    return parseInt(storedHash.split('$')[1], 10) < PBKDF2_ITERATIONS;
+}
+
 /**
  * Generate a secure random password
  * @param {number} length - Password length (default: 16)
@@ -116,13 +141,5 @@ export async function verifyPassword(password, storedHash) {
  */
 export function generatePassword(length = 16) {
     const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*';
-    const randomBytes = new Uint8Array(length);
-    crypto.getRandomValues(randomBytes);
-    let password = '';
-
-    for (let i = 0; i < length; i++) {
-        password += charset[randomBytes[i] % charset.length];
-    }
-
-    return password;
+    return randomString(charset, length);
 }
@@ -0,0 +1,485 @@
+/**
+ * On-chain verification of USDT payments. A submitted payment names a network
+ * (erc20 or trc20) and a txid; the verifier looks the transaction up through a
+ * chain adapter and checks it sent enough USDT to our wallet and has enough
+ * confirmations. Mismatches are flagged for an admin and anything not yet
+ * confirmed stays pending. Verified payments are approved automatically only
+ * when PAYMENT_AUTO_APPROVE is "true" and the transfer came from one of the
+ * user's own wallets (see lib/payment-wallets.js); otherwise an admin approves them.
+ *
+ * Adapters are selected per network by the CHAIN_ADAPTER_ERC20 and
+ * CHAIN_ADAPTER_TRC20 bindings:
+ *   ethereum-rpc (ERC-20 default) - any JSON-RPC endpoint in ETH_RPC_URL
+ *   etherscan                     - Etherscan's proxy API (ETHERSCAN_API_KEY)
+ *   tron (TRC-20 default)         - TronGrid or a full node (TRON_API_URL, TRONGRID_API_KEY)
+ *   stub                          - transactions from the CHAIN_STUB_TRANSACTIONS JSON binding
+ *   none                          - no lookups; every payment waits for an admin
+ * Other adapters can be added with registerChainAdapter().
+ */
+import { approvePaymentRecord } from './payments.js';
+import { normalizeTxid } from './txids.js';
+import { checkSenders } from './payment-wallets.js';
+import { sendTelegramNotification } from './telegram.js';
+
+// Our receiving wallets (shown in dashboard.html) and the USDT contract on each chain
+export const PAYMENT_NETWORKS = {
+    erc20: {
+        label: 'USDT ERC-20 (Ethereum)',
+        wallet: '0xBD535d3e1D5183Febf60B440d0C0474d0658478d',
+        tokenContract: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+        decimals: 6,
+        minConfirmations: 12,
+        defaultAdapter: 'ethereum-rpc'
+    },
+    trc20: {
+        label: 'USDT TRC-20 (Tron)',
+        wallet: 'TUKDsiwDpMoyxY8pcRkM9NpJHAbdmVqbje',
+        tokenContract: 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t',
+        decimals: 6,
+        // Tron blocks are final ("solidified") after 19 confirmations
+        minConfirmations: 19,
+        defaultAdapter: 'tron'
+    }
+};
+
+// keccak256("Transfer(address,address,uint256)"), the ERC-20/TRC-20 Transfer event
+const TRANSFER_TOPIC = 'ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Tron base58check address -> 21-byte hex ("41" + 20 bytes), the form used in event logs
+function tronAddressToHex(address) {
+    let value = 0n;
+    for (const char of address) {
+        const index = BASE58_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid Tron address "${address}"`);
+        }
+        value = value * 58n + BigInt(index);
+    }
+    // 21 address bytes + 4 checksum bytes
+    return value.toString(16).padStart(50, '0').slice(0, 42);
+}
+
+/**
+ * Compare addresses in one form: lowercase hex, with Tron's 41 prefix
+ * @param {string} network - Key of PAYMENT_NETWORKS
+ * @param {string} address - Hex or (Tron) base58 address
+ * @returns {string}
+ */
+export function normalizeAddress(network, address) {
+    const value = String(address || '').trim();
+    if (network === 'trc20') {
+        if (value.startsWith('T')) return tronAddressToHex(value);
+        const hex = value.toLowerCase().replace(/^0x/, '');
+        return hex.length === 40 ? `41${hex}` : hex;
+    }
+    return value.toLowerCase();
+}
+
+function stripHexPrefix(value) {
+    return String(value).trim().replace(/^0x/i, '');
+}
+
+// Transfer events from EVM-style logs: { address, topics, data }, hex with or without 0x
+function transfersFromLogs(logs, addressPrefix) {
+    return (logs || [])
+        .filter(log => log.topics && log.topics.length === 3 && stripHexPrefix(log.topics[0]).toLowerCase() === TRANSFER_TOPIC)
+        .map(log => ({
+            contract: addressPrefix + stripHexPrefix(log.address).toLowerCase().slice(-40),
+            from: addressPrefix + stripHexPrefix(log.topics[1]).toLowerCase().slice(-40),
+            to: addressPrefix + stripHexPrefix(log.topics[2]).toLowerCase().slice(-40),
+            rawAmount: BigInt('0x' + (stripHexPrefix(log.data) || '0')).toString()
+        }));
+}
+
+// Ethereum lookups over any JSON-RPC style call(method, params)
+function ethereumAdapter(call) {
+    return {
+        async getTransaction(txid) {
+            const hash = '0x' + stripHexPrefix(txid).toLowerCase();
+            const receipt = await call('eth_getTransactionReceipt', [hash]);
+            if (!receipt) return { found: false };
+
+            const latestBlock = parseInt(await call('eth_blockNumber', []), 16);
+            return {
+                found: true,
+                success: receipt.status === '0x1',
+                confirmations: latestBlock - parseInt(receipt.blockNumber, 16) + 1,
+                transfers: transfersFromLogs(receipt.logs, '0x')
+            };
+        }
+    };
+}
+
+async function fetchJson(url, options) {
+    const response = await fetch(url, options);
+    if (!response.ok) {
+        throw new Error(`${url} returned ${response.status}`);
+    }
+    return response.json();
+}
+
+const adapters = {
+    'ethereum-rpc'(env) {
+        if (!env.ETH_RPC_URL) {
+            throw new Error('ETH_RPC_URL is required for the ethereum-rpc chain adapter');
+        }
+        return ethereumAdapter(async (method, params) => {
+            const data = await fetchJson(env.ETH_RPC_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+            });
+            if (data.error) {
+                throw new Error(`${method}: ${data.error.message}`);
+            }
+            return data.result;
+        });
+    },
+
+    etherscan(env) {
+        if (!env.ETHERSCAN_API_KEY) {
+            throw new Error('ETHERSCAN_API_KEY is required for the etherscan chain adapter');
+        }
+        const baseUrl = env.ETHERSCAN_API_URL || 'https://api.etherscan.io/api';
+        return ethereumAdapter(async (method, params) => {
+            const query = new URLSearchParams({ module: 'proxy', action: method, apikey: env.ETHERSCAN_API_KEY });
+            if (params[0]) query.set('txhash', params[0]);
+            const data = await fetchJson(`${baseUrl}?${query}`);
+            if (data.error) {
+                throw new Error(`${method}: ${data.error.message}`);
+            }
+            // Errors such as rate limits come back as { status: "0", result: "<message>" }
+            if (data.status === '0') {
+                throw new Error(`${method}: ${data.result}`);
+            }
+            return data.result;
+        });
+    },
+
+    tron(env) {
+        const baseUrl = (env.TRON_API_URL || 'https://api.trongrid.io').replace(/\/+$/, '');
+        const headers = { 'Content-Type': 'application/json' };
+        if (env.TRONGRID_API_KEY) {
+            headers['TRON-PRO-API-KEY'] = env.TRONGRID_API_KEY;
+        }
+        const post = (path, body) => fetchJson(`${baseUrl}${path}`, { method: 'POST', headers, body: JSON.stringify(body) });
+
+        return {
+            async getTransaction(txid) {
+                const info = await post('/wallet/gettransactioninfobyid', { value: stripHexPrefix(txid).toLowerCase() });
+                // Unknown (or not yet included) transactions come back as {}
+                if (!info || !info.id) return { found: false };
+
+                const latest = await post('/wallet/getnowblock', {});
+                return {
+                    found: true,
+                    success: info.result !== 'FAILED' && (!info.receipt || !info.receipt.result || info.receipt.result === 'SUCCESS'),
+                    confirmations: latest.block_header.raw_data.number - info.blockNumber + 1,
+                    // Tron log addresses drop the 41 prefix
+                    transfers: transfersFromLogs(info.log, '41')
+                };
+            }
+        };
+    },
+
+    // For local development and tests: CHAIN_STUB_TRANSACTIONS holds
+    // {"<txid>": {"success": true, "confirmations": 20, "transfers": [{"contract", "to", "amount"}]}}
+    // with addresses in any form and amounts in USDT
+    stub(env, network) {
+        const transactions = JSON.parse(env.CHAIN_STUB_TRANSACTIONS || '{}');
+        const { decimals } = PAYMENT_NETWORKS[network];
+        return {
+            async getTransaction(txid) {
+                const key = Object.keys(transactions).find(id => stripHexPrefix(id).toLowerCase() === stripHexPrefix(txid).toLowerCase());
+                const tx = key && transactions[key];
+                if (!tx || (tx.network && tx.network !== network)) return { found: false };
+                return {
+                    found: true,
+                    success: tx.success !== false,
+                    confirmations: tx.confirmations ?? PAYMENT_NETWORKS[network].minConfirmations,
+                    transfers: (tx.transfers || []).map(t => ({
+                        contract: normalizeAddress(network, t.contract),
+                        from: t.from ? normalizeAddress(network, t.from) : null,
+                        to: normalizeAddress(network, t.to),
+                        rawAmount: toRawAmount(t.amount, decimals).toString()
+                    }))
+                };
+            }
+        };
+    },
+
+    none() {
+        return null;
+    }
+};
+
+/**
+ * Add or replace a chain adapter
+ * @param {string} name - Value of CHAIN_ADAPTER_ERC20 / CHAIN_ADAPTER_TRC20 that selects it
+ * @param {Function} factory - (env, network) => { getTransaction(txid) } or null.
+ *        getTransaction resolves to { found: false } or
+ *        { found: true, success, confirmations, transfers: [{ contract, from, to, rawAmount }] }
+ *        with addresses as normalizeAddress() returns them
+ */
+export function registerChainAdapter(name, factory) {
+    adapters[name] = factory;
+}
+
+function adapterFor(env, network) {
+    const name = env[`CHAIN_ADAPTER_${network.toUpperCase()}`] || PAYMENT_NETWORKS[network].defaultAdapter;
+    const factory = adapters[name];
+    if (!factory) {
+        throw new Error(`Unknown chain adapter "${name}" (expected one of: ${Object.keys(adapters).join(', ')})`);
+    }
+    return factory(env, network);
+}
+
+// USDT amount -> integer token units, without floating point rounding
+function toRawAmount(amount, decimals) {
+    const [whole, fraction = ''] = String(amount).split('.');
+    return BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt((fraction + '0'.repeat(decimals)).slice(0, decimals) || '0');
+}
+
+function fromRawAmount(rawAmount, decimals) {
+    return Number(BigInt(rawAmount)) / 10 ** decimals;
+}
+
+/**
+ * Guess the network of a txid when the payment doesn't name one:
+ * Ethereum hashes are usually pasted with 0x, Tron ones without
+ * @param {string} txid
+ * @returns {string[]} - Networks to try, most likely first
+ */
+export function candidateNetworks(txid) {
+    return /^0x/i.test(String(txid).trim()) ? ['erc20', 'trc20'] : ['trc20', 'erc20'];
+}
+
+/**
+ * Check one transaction against a payment
+ * @param {string} network - Key of PAYMENT_NETWORKS
+ * @param {Object} tx - Result of an adapter's getTransaction()
+ * @param {Object} payment - Payment document
+ * @returns {{status: string, reasons: string[], receivedAmount: number|null, confirmations: number|null, senders: string[]}}
+ *          senders: normalized addresses the USDT to our wallet came from
+ */
+export function checkTransaction(network, tx, payment) {
+    const config = PAYMENT_NETWORKS[network];
+    const wallet = normalizeAddress(network, config.wallet);
+    const tokenContract = normalizeAddress(network, config.tokenContract);
+
+    if (!tx.found) {
+        return { status: 'not_found', reasons: ['Transaction not found on chain (yet)'], receivedAmount: null, confirmations: null, senders: [] };
+    }
+
+    const reasons = [];
+    const toWallet = tx.transfers.filter(t => t.to === wallet);
+    const usdtToWallet = toWallet.filter(t => t.contract === tokenContract);
+    const received = usdtToWallet.reduce((sum, t) => sum + BigInt(t.rawAmount), 0n);
+    const receivedAmount = fromRawAmount(received, config.decimals);
+    const senders = [...new Set(usdtToWallet.map(t => t.from).filter(Boolean))];
+
+    if (!tx.success) {
+        reasons.push('Transaction failed on chain');
+    }
+    if (toWallet.length === 0) {
+        reasons.push(`No transfer to our ${config.label} wallet`);
+    } else if (usdtToWallet.length === 0) {
+        reasons.push('Transfer is not USDT (wrong token contract)');
+    } else if (received < toRawAmount(payment.amount, config.decimals)) {
+        reasons.push(`Received ${receivedAmount} USDT, payment claims ${payment.amount}`);
+    }
+
+    if (reasons.length > 0) {
+        return { status: 'mismatch', reasons, receivedAmount, confirmations: tx.confirmations, senders };
+    }
+    if (tx.confirmations < config.minConfirmations) {
+        return {
+            status: 'confirming',
+            reasons: [`${tx.confirmations}/${config.minConfirmations} confirmations`],
+            receivedAmount,
+            confirmations: tx.confirmations,
+            senders
+        };
+    }
+    return { status: 'verified', reasons: [], receivedAmount, confirmations: tx.confirmations, senders };
+}
+
+// Another payment that holds this txid's claim or was ever credited with it
+// (including legacy payments from before txids were claimed)
+async function findOtherUse(db, paymentId, txid) {
+    const normalized = normalizeTxid(txid);
+    if (normalized) {
+        const claimDoc = await db.collection('payment_txids').doc(normalized).get();
+        if (claimDoc.exists && claimDoc.data().paymentId !== paymentId) {
+            return { id: claimDoc.data().paymentId };
+        }
+    }
+    const snapshot = await db.collection('payments').where('txid', 'in', normalized ? [normalized, `0x${normalized}`] : [txid]).get();
+    return snapshot.docs.find(doc => doc.id !== paymentId && (doc.data().status === 'approved' || doc.data().approvedAt)) || null;
+}
+
+/**
+ * Verify a pending payment on chain, record the result on the payment and
+ * approve it when verified, sent from the user's own wallet and
+ * PAYMENT_AUTO_APPROVE is "true"
+ * @param {Object} db - Database from getDb()
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {string} paymentId
+ * @returns {Promise<{verification: Object, approved: boolean, creditsAdded: number, payment: Object}|{error: string, status: number}>}
+ */
+export async function verifyPayment(db, env, paymentId) {
+    const paymentRef = db.collection('payments').doc(paymentId);
+    const paymentDoc = await paymentRef.get();
+    if (!paymentDoc.exists) {
+        return { error: 'Payment not found', status: 404 };
+    }
+    const payment = paymentDoc.data();
+    if (payment.status !== 'pending') {
+        return { error: `Payment is already ${payment.status}`, status: 400 };
+    }
+
+    const networks = payment.network ? [payment.network] : candidateNetworks(payment.txid);
+    let result = null;
+    let network = null;
+    const adapterErrors = [];
+
+    for (const candidate of networks) {
+        let tx;
+        try {
+            const adapter = adapterFor(env, candidate);
+            if (!adapter) {
+                adapterErrors.push(`No chain adapter configured for ${candidate}`);
+                continue;
+            }
+            tx = await adapter.getTransaction(payment.txid);
+        } catch (error) {
+            console.error(`[Verifier] ${candidate} lookup failed for ${paymentId}:`, error);
+            adapterErrors.push(`${candidate} lookup failed: ${error.message}`);
+            continue;
+        }
+
+        const checked = checkTransaction(candidate, tx, payment);
+        // Keep trying other networks only while the transaction hasn't been found
+        if (!result || result.status === 'not_found') {
+            result = checked;
+            network = candidate;
+        }
+        if (checked.status !== 'not_found') break;
+    }
+
+    if (!result || (result.status === 'not_found' && adapterErrors.length > 0)) {
+        result = { status: 'unavailable', reasons: adapterErrors, receivedAmount: null, confirmations: null, senders: [] };
+    }
+
+    if (result.status === 'verified') {
+        const other = await findOtherUse(db, paymentId, payment.txid);
+        if (other) {
+            result = { ...result, status: 'mismatch', reasons: [`Transaction already used by payment ${other.id}`] };
+        }
+    }
+
+    let senderTrusted = false;
+    if (result.status === 'verified') {
+        const senders = await checkSenders(db, payment.email, network, result.senders);
+        if (senders.ownedBy) {
+            result = { ...result, status: 'mismatch', reasons: [`Sent from a wallet that belongs to ${senders.ownedBy}`] };
+        }
+        senderTrusted = senders.trusted;
+    }
+
+    const verification = {
+        status: result.status,
+        reasons: result.reasons,
+        network,
+        receivedAmount: result.receivedAmount,
+        confirmations: result.confirmations,
+        senders: result.senders,
+        senderTrusted,
+        checkedAt: new Date()
+    };
+
+    const approve = result.status === 'verified' && senderTrusted && env.PAYMENT_AUTO_APPROVE === 'true';
+    let creditsAdded = 0;
+    if (approve) {
+        // Passing the payment as read before the chain lookup makes an admin's
+        // concurrent approve/reject fail the commit instead of being overwritten
+        const approved = await approvePaymentRecord(db, paymentId, {
+            actor: 'chain-verifier',
+            via: 'auto',
+            fields: { verification, network: network || payment.network || null },
+            paymentDoc
+        });
+        if (approved.error) {
+            return approved;
+        }
+        creditsAdded = approved.creditsAdded;
+    } else {
+        const batch = db.batch();
+        batch.update(paymentRef, { verification }, { lastUpdateTime: paymentDoc.updateTime });
+        await batch.commit();
+    }
+
+    console.log(`[Verifier] Payment ${paymentId}: ${result.status}${approve ? ' (auto-approved)' : ''}`);
+    return { verification, approved: approve, creditsAdded, payment: { id: paymentId, ...payment } };
+}
+
+/**
+ * One-line summary of a verification for admin messages
+ * @param {Object} verification - payment.verification
+ * @returns {string}
+ */
+export function describeVerification(verification) {
+    if (!verification) return 'Not checked';
+    const labels = {
+        verified: '✅ Verified on chain',
+        confirming: '⏳ Waiting for confirmations',
+        not_found: '🔎 Not found on chain yet',
+        mismatch: '🚩 Mismatch',
+        unavailable: '⚠️ Could not check'
+    };
+    const label = labels[verification.status] || verification.status;
+    if (verification.status === 'verified' && verification.senders && !verification.senderTrusted) {
+        return `${label}, sent from a wallet this user hasn't paid from before: ${verification.senders.join(', ')}`;
+    }
+    return verification.reasons && verification.reasons.length > 0
+        ? `${label}: ${verification.reasons.join('; ')}`
+        : label;
+}
+
+/**
+ * Tell the admin chat about a re-check that approved or flagged a payment
+ * @param {Object} result - Result of verifyPayment()
+ * @param {Object} env - Cloudflare environment bindings
+ */
+export async function notifyVerification(result, env) {
+    const { verification, payment } = result;
+    if (result.approved) {
+        await sendTelegramNotification(`
+✅ <b>Payment Auto-Approved</b> (verified on chain)
+
+<b>User:</b> ${payment.email}
+<b>Amount:</b> $${payment.amount}
+<b>Network:</b> ${PAYMENT_NETWORKS[verification.network].label}
+<b>Credits Added:</b> ${result.creditsAdded} SMS
+<b>Payment ID:</b> <code>${payment.id}</code>
+        `, env);
+    } else if (verification.status === 'mismatch') {
+        await sendTelegramNotification(`
+🚩 <b>Payment Flagged</b>
+
+<b>User:</b> ${payment.email}
+<b>Amount:</b> $${payment.amount}
+<b>TXID:</b> <code>${payment.txid}</code>
+<b>Check:</b> ${describeVerification(verification)}
+
+Review before approving.
+        `, env, {
+            inlineKeyboard: [[
+                { text: '✅ Approve Anyway', callback_data: `approve_${payment.id}` },
+                { text: '❌ Reject', callback_data: `reject_${payment.id}` }
+            ]]
+        });
+    }
+}
@@ -0,0 +1,68 @@
+/**
+ * Wallets customers pay from. Incoming transfers to our wallets are public, so
+ * a verified transfer alone doesn't show who paid: anyone could submit another
+ * customer's txid first. A sending wallet becomes trusted for a user when an
+ * admin approves a verified payment from it, recorded in
+ * payment_wallets/{network}_{address}; each wallet can belong to one user only.
+ * The verifier auto-approves only transfers sent from the user's own wallets.
+ */
+
+function walletRef(db, network, address) {
+    return db.collection('payment_wallets').doc(`${network}_${address}`);
+}
+
+/**
+ * Check the senders of a verified transfer against the wallets users own
+ * @param {Object} db - Database from getDb()
+ * @param {string} email - User who submitted the payment
+ * @param {string} network - Key of PAYMENT_NETWORKS
+ * @param {string[]} senders - Normalized sending addresses (see normalizeAddress())
+ * @returns {Promise<{trusted: boolean, ownedBy: string|null}>}
+ *          trusted: every sender is one of the user's wallets;
+ *          ownedBy: another user owning one of the senders
+ */
+export async function checkSenders(db, email, network, senders) {
+    let trusted = senders.length > 0;
+    for (const address of senders) {
+        const doc = await walletRef(db, network, address).get();
+        if (!doc.exists) {
+            trusted = false;
+        } else if (doc.data().email !== email) {
+            return { trusted: false, ownedBy: doc.data().email };
+        }
+    }
+    return { trusted, ownedBy: null };
+}
+
+/**
+ * Read the wallet claims an approval adds: the senders of a verified payment
+ * that no user owns yet
+ * @param {Object} db - Database from getDb()
+ * @param {Object} verification - payment.verification
+ * @returns {Promise<Object[]>} - Refs of unclaimed wallets
+ */
+export async function readUnclaimedSenders(db, verification) {
+    if (!verification || verification.status !== 'verified' || !verification.senders) {
+        return [];
+    }
+    const refs = [];
+    for (const address of verification.senders) {
+        const ref = walletRef(db, verification.network, address);
+        if (!(await ref.get()).exists) refs.push(ref);
+    }
+    return refs;
+}
+
+/**
+ * Add the wallet claims of an approval to its batch; the commit fails with
+ * ALREADY_EXISTS if another approval claimed one of them meanwhile
+ * @param {Object} batch - The approval's db.batch()
+ * @param {Object[]} refs - From readUnclaimedSenders()
+ * @param {string} email - Payment owner
+ * @param {string} paymentId - Approved payment
+ */
+export function writeWalletClaims(batch, refs, email, paymentId) {
+    for (const ref of refs) {
+        batch.create(ref, { email, firstPaymentId: paymentId, claimedAt: new Date() });
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * Payment approval and rejection, shared by the admin panel endpoints, the
+ * Telegram bot and the chain verifier so that every path applies the same
+ * checks and writes. Approved is final: an approved payment can't be rejected,
+ * and its txid stays claimed (see lib/txids.js).
+ */
+import { writeCreditChange } from './credits.js';
+import { creditsForPayment } from './pricing.js';
+import { readClaimForApproval, writeClaimApproval } from './txids.js';
+import { readUnclaimedSenders, writeWalletClaims } from './payment-wallets.js';
+
+/**
+ * Mark a payment approved and credit its user in one atomic commit. The
+ * updateTime preconditions fail the batch with FailedPreconditionError if the
+ * payment or the balance changed (e.g. a concurrent approval) since they were read.
+ * @param {Object} db - Database from getDb()
+ * @param {string} paymentId
+ * @param {Object} approval
+ * @param {string} approval.actor - Admin email, or 'chain-verifier'
+ * @param {string} [approval.via] - Stored as approvedVia, e.g. 'telegram'
+ * @param {Object} [approval.fields] - Other fields to write on the payment
+ * @param {Object} [approval.paymentDoc] - The payment as already read by the caller
+ * @returns {Promise<{payment: Object, creditsAdded: number}|{error: string, status: number}>}
+ */
+export async function approvePaymentRecord(db, paymentId, { actor, via = null, fields = {}, paymentDoc = null }) {
+    const paymentRef = db.collection('payments').doc(paymentId);
+    if (!paymentDoc) {
+        paymentDoc = await paymentRef.get();
+    }
+    if (!paymentDoc.exists) {
+        return { error: 'Payment not found', status: 404 };
+    }
+
+    const paymentData = paymentDoc.data();
+    if (paymentData.status === 'approved') {
+        return { error: 'Already approved', status: 400 };
+    }
+
+    // A rejected payment's txid may have been claimed by a newer payment since
+    const claim = await readClaimForApproval(db, paymentId, paymentData.txid);
+    if (claim.error) {
+        return claim;
+    }
+
+    // Approving a verified payment makes the wallet it came from the user's
+    const walletRefs = await readUnclaimedSenders(db, fields.verification || paymentData.verification);
+
+    const creditsAdded = await creditsForPayment(db, paymentData);
+    const userDoc = await db.collection('users').doc(paymentData.email).get();
+    const approvedAt = new Date();
+
+    const batch = db.batch();
+    batch.update(paymentRef, {
+        ...fields,
+        status: 'approved',
+        approvedBy: actor,
+        ...(via ? { approvedVia: via } : {}),
+        approvedAt
+    }, { lastUpdateTime: paymentDoc.updateTime });
+    writeClaimApproval(batch, claim, paymentId, paymentData.email, approvedAt);
+    writeWalletClaims(batch, walletRefs, paymentData.email, paymentId);
+    writeCreditChange(batch, db, userDoc, {
+        type: 'purchase',
+        delta: creditsAdded,
+        actor,
+        referenceId: paymentId
+    }, {
+        lastPaymentDate: new Date().toISOString(),
+        subscriptionStatus: 'active'
+    });
+    await batch.commit();
+
+    console.log(`[Payments] ${paymentId} approved by ${actor}: +${creditsAdded} credits for ${paymentData.email}`);
+    return { payment: { id: paymentId, ...paymentData }, creditsAdded };
+}
+
+/**
+ * Mark a pending payment rejected, which frees its txid for a new payment
+ * @param {Object} db - Database from getDb()
+ * @param {string} paymentId
+ * @param {Object} rejection
+ * @param {string} rejection.actor - Admin email
+ * @param {string} [rejection.via] - Stored as rejectedVia, e.g. 'telegram'
+ * @returns {Promise<{payment: Object}|{error: string, status: number}>}
+ */
+export async function rejectPaymentRecord(db, paymentId, { actor, via = null }) {
+    const paymentRef = db.collection('payments').doc(paymentId);
+    const paymentDoc = await paymentRef.get();
+    if (!paymentDoc.exists) {
+        return { error: 'Payment not found', status: 404 };
+    }
+
+    const paymentData = paymentDoc.data();
+    if (paymentData.status === 'rejected') {
+        return { error: 'Already rejected', status: 400 };
+    }
+    if (paymentData.status === 'approved' || paymentData.approvedAt) {
+        return { error: 'Cannot reject approved payment', status: 400 };
+    }
+
+    // The precondition fails the commit if the payment was approved meanwhile
+    const batch = db.batch();
+    batch.update(paymentRef, {
+        status: 'rejected',
+        rejectedBy: actor,
+        ...(via ? { rejectedVia: via } : {}),
+        rejectedAt: new Date()
+    }, { lastUpdateTime: paymentDoc.updateTime });
+    await batch.commit();
+
+    console.log(`[Payments] ${paymentId} rejected by ${actor}`);
+    return { payment: { id: paymentId, ...paymentData } };
+}
@@ -0,0 +1,125 @@
+/**
+ * Pricing config: packages, volume discount brackets and the minimum payment.
+ * Stored in Firestore at config/pricing (owners edit it in the admin panel);
+ * DEFAULT_PRICING applies until it is saved once. The credit rules themselves
+ * live in js/pricing.js so the site computes credits exactly like the API.
+ */
+import { DEFAULT_PRICING, creditsForAmount } from '../../js/pricing.js';
+
+export { DEFAULT_PRICING, creditsForAmount };
+
+const MAX_PACKAGES = 6;
+const MAX_DISCOUNTS = 10;
+const MAX_FEATURES = 8;
+
+/**
+ * The current pricing config
+ * @param {Object} db - Database from getDb()
+ * @returns {Promise<Object>}
+ */
+export async function getPricing(db) {
+    const doc = await db.collection('config').doc('pricing').get();
+    if (!doc.exists) return DEFAULT_PRICING;
+
+    const { pricePerCredit, minimumAmount, packages, discounts } = doc.data();
+    return { pricePerCredit, minimumAmount, packages, discounts };
+}
+
+/**
+ * Credits a payment is worth: the credits quoted when it was submitted, or for
+ * payments from before quotes were stored, the current pricing
+ * @param {Object} db - Database from getDb()
+ * @param {Object} payment - Payment document
+ * @returns {Promise<number>}
+ */
+export async function creditsForPayment(db, payment) {
+    if (Number.isInteger(payment.credits)) return payment.credits;
+    return creditsForAmount(payment.amount, await getPricing(db));
+}
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Check a pricing config from the admin panel
+ * @param {Object} input
+ * @returns {{pricing: Object}|{error: string, status: number}}
+ */
+export function validatePricing(input) {
+    const { pricePerCredit, minimumAmount, packages = [], discounts = [] } = input || {};
+
+    if (!isPositiveNumber(pricePerCredit)) {
+        return { error: 'pricePerCredit must be a positive number', status: 400 };
+    }
+    if (!isPositiveNumber(minimumAmount)) {
+        return { error: 'minimumAmount must be a positive number', status: 400 };
+    }
+
+    if (!Array.isArray(packages) || packages.length > MAX_PACKAGES) {
+        return { error: `packages must be a list of at most ${MAX_PACKAGES} packages`, status: 400 };
+    }
+    for (const pkg of packages) {
+        if (!pkg || typeof pkg.name !== 'string' || !pkg.name.trim() || pkg.name.length > 40) {
+            return { error: 'Each package needs a name of at most 40 characters', status: 400 };
+        }
+        if (!isPositiveNumber(pkg.amount) || pkg.amount < minimumAmount) {
+            return { error: `Package ${pkg.name} must cost at least the minimum amount ($${minimumAmount})`, status: 400 };
+        }
+        const features = pkg.features || [];
+        if (!Array.isArray(features) || features.length > MAX_FEATURES || features.some(f => typeof f !== 'string' || f.length > 80)) {
+            return { error: `Package ${pkg.name} can list at most ${MAX_FEATURES} features of up to 80 characters`, status: 400 };
+        }
+    }
+
+    if (!Array.isArray(discounts) || discounts.length > MAX_DISCOUNTS) {
+        return { error: `discounts must be a list of at most ${MAX_DISCOUNTS} brackets`, status: 400 };
+    }
+    for (const bracket of discounts) {
+        if (!bracket || !isPositiveNumber(bracket.minAmount)) {
+            return { error: 'Each discount needs a positive minAmount', status: 400 };
+        }
+        if (!isPositiveNumber(bracket.discountPercent) || bracket.discountPercent >= 100) {
+            return { error: 'Each discount needs a discountPercent between 0 and 100', status: 400 };
+        }
+    }
+    if (new Set(discounts.map(b => b.minAmount)).size !== discounts.length) {
+        return { error: 'Discount brackets must have different minAmounts', status: 400 };
+    }
+
+    return {
+        pricing: {
+            pricePerCredit,
+            minimumAmount,
+            packages: packages.map(pkg => ({
+                name: pkg.name.trim(),
+                amount: pkg.amount,
+                featured: !!pkg.featured,
+                features: (pkg.features || []).map(f => f.trim()).filter(Boolean)
+            })),
+            discounts: discounts
+                .map(({ minAmount, discountPercent }) => ({ minAmount, discountPercent }))
+                .sort((a, b) => a.minAmount - b.minAmount)
+        }
+    };
+}
+
+/**
+ * Validate and store a new pricing config
+ * @param {Object} db - Database from getDb()
+ * @param {Object} input - Pricing config from the admin panel
+ * @param {string} actor - Email of the owner saving it
+ * @returns {Promise<{pricing: Object}|{error: string, status: number}>}
+ */
+export async function savePricing(db, input, actor) {
+    const result = validatePricing(input);
+    if (result.error) return result;
+
+    await db.collection('config').doc('pricing').set({
+        ...result.pricing,
+        updatedAt: new Date(),
+        updatedBy: actor
+    });
+    console.log(`[Pricing] Updated by ${actor}`);
+    return result;
+}
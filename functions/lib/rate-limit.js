@@ -0,0 +1,277 @@
+/**
+ * Failed-attempt counters with exponential backoff and temporary lockout,
+ * for login and lookup endpoints. Counters are kept per key (e.g. "ip:1.2.3.4",
+ * "account:admin@example.com") in a store selected by the RATE_LIMIT_STORE binding:
+ *   firestore (default) - rate_limits/{key} documents, through the database from getDb()
+ *   kv                  - the RATE_LIMIT_KV Workers KV namespace
+ *   memory              - a per-isolate Map, for local development
+ * Other stores can be added with registerRateLimitStore().
+ * Failures are counted with an atomic read-modify-write (a transaction in
+ * firestore), so concurrent attempts can't overwrite each other's counts.
+ * Workers KV has no atomic update: with the kv store, a burst of parallel
+ * attempts can still be undercounted.
+ */
+import { sendTelegramNotification } from './telegram.js';
+import { escapeHtml } from './html.js';
+
+// Admin passwords: a few free tries, then 1s, 2s, 4s... and a lockout after 10 failures
+export const ADMIN_LOGIN_POLICY = {
+    name: 'admin-login',
+    freeAttempts: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 60 * 1000,
+    lockoutThreshold: 10,
+    lockoutMs: 15 * 60 * 1000,
+    windowMs: 60 * 60 * 1000
+};
+
+// validate-user lookups that find nothing; looser since the main app calls it routinely
+export const USER_LOOKUP_POLICY = {
+    name: 'validate-user',
+    freeAttempts: 10,
+    baseDelayMs: 1000,
+    maxDelayMs: 60 * 1000,
+    lockoutThreshold: 30,
+    lockoutMs: 15 * 60 * 1000,
+    windowMs: 60 * 60 * 1000
+};
+
+// request-login-code calls per IP, all counted since each one can send an email
+export const LOGIN_CODE_POLICY = {
+    name: 'login-code',
+    freeAttempts: 5,
+    baseDelayMs: 30 * 1000,
+    maxDelayMs: 10 * 60 * 1000,
+    lockoutThreshold: 20,
+    lockoutMs: 60 * 60 * 1000,
+    windowMs: 60 * 60 * 1000
+};
+
+// request-login-code calls per email: spaces out the codes sent to one inbox,
+// but never locks out, so others can't keep the owner from getting a code
+export const LOGIN_CODE_EMAIL_POLICY = {
+    name: 'login-code-email',
+    freeAttempts: 3,
+    baseDelayMs: 60 * 1000,
+    maxDelayMs: 5 * 60 * 1000,
+    lockoutThreshold: Infinity,
+    lockoutMs: 0,
+    windowMs: 60 * 60 * 1000
+};
+
+// Wrong codes on verify-login-code, per IP and per account
+export const LOGIN_VERIFY_POLICY = {
+    name: 'login-verify',
+    freeAttempts: 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 60 * 1000,
+    lockoutThreshold: 15,
+    lockoutMs: 15 * 60 * 1000,
+    windowMs: 60 * 60 * 1000
+};
+
+// Repeated lockouts double the lockout, up to a day
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+const memoryRecords = new Map();
+
+const stores = {
+    firestore(env, db) {
+        const collection = db.collection('rate_limits');
+        const live = (doc) => doc.exists && Number(doc.data().expiresAt) > Date.now() ? doc.data() : null;
+        return {
+            async get(key) {
+                return live(await collection.doc(key).get());
+            },
+            async update(key, mutate) {
+                const ref = collection.doc(key);
+                // Failures come in bursts when someone is guessing, so allow more retries than usual
+                return db.runTransaction(async (transaction) => {
+                    const { record, ttlMs } = mutate(live(await transaction.get(ref)));
+                    // expiresAt can back a Firestore TTL policy on rate_limits
+                    transaction.set(ref, { ...record, expiresAt: new Date(Date.now() + ttlMs) });
+                    return record;
+                }, { maxAttempts: 10 });
+            },
+            async delete(key) {
+                await collection.doc(key).delete();
+            }
+        };
+    },
+
+    kv(env) {
+        const namespace = env.RATE_LIMIT_KV;
+        if (!namespace) {
+            throw new Error('RATE_LIMIT_KV namespace binding is required for the kv rate limit store');
+        }
+        return {
+            get: (key) => namespace.get(key, 'json'),
+            // Best effort: KV can't compare-and-set, so concurrent updates may be lost
+            async update(key, mutate) {
+                const { record, ttlMs } = mutate(await namespace.get(key, 'json'));
+                // KV's minimum expirationTtl is 60 seconds
+                await namespace.put(key, JSON.stringify(record), { expirationTtl: Math.max(60, Math.ceil(ttlMs / 1000)) });
+                return record;
+            },
+            delete: (key) => namespace.delete(key)
+        };
+    },
+
+    memory() {
+        const live = (key) => {
+            const entry = memoryRecords.get(key);
+            return entry && entry.expiresAt > Date.now() ? { ...entry.record } : null;
+        };
+        return {
+            async get(key) {
+                return live(key);
+            },
+            // No await between the read and the write, so this is atomic within the isolate
+            async update(key, mutate) {
+                const { record, ttlMs } = mutate(live(key));
+                memoryRecords.set(key, { record: { ...record }, expiresAt: Date.now() + ttlMs });
+                return record;
+            },
+            async delete(key) {
+                memoryRecords.delete(key);
+            }
+        };
+    }
+};
+
+/**
+ * Add or replace a counter store
+ * @param {string} name - Value of RATE_LIMIT_STORE that selects it
+ * @param {Function} factory - (env, db) => { get(key), update(key, mutate), delete(key) }, where
+ *   update applies mutate(record|null) => { record, ttlMs } atomically and resolves to the new record
+ */
+export function registerRateLimitStore(name, factory) {
+    stores[name] = factory;
+}
+
+/**
+ * Client address as seen by Cloudflare (falls back to X-Forwarded-For under Node)
+ * @param {Request} request
+ * @returns {string}
+ */
+export function clientIp(request) {
+    return request.headers.get('CF-Connecting-IP') ||
+        (request.headers.get('X-Forwarded-For') || '').split(',')[0].trim() ||
+        'unknown';
+}
+
+function storeKey(policy, key) {
+    // Document IDs can't contain "/"
+    return `${policy.name}:${key}`.replace(/\//g, '_');
+}
+
+function describeWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    return seconds < 120 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+}
+
+/**
+ * Create a limiter for one endpoint
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {Object} db - Database from getDb() (used by the firestore store)
+ * @param {Object} policy - ADMIN_LOGIN_POLICY, USER_LOOKUP_POLICY or similar
+ */
+export function createRateLimiter(env, db, policy) {
+    const name = env.RATE_LIMIT_STORE || 'firestore';
+    const factory = stores[name];
+    if (!factory) {
+        throw new Error(`Unknown RATE_LIMIT_STORE "${name}" (expected one of: ${Object.keys(stores).join(', ')})`);
+    }
+    const store = factory(env, db);
+
+    return {
+        /**
+         * Whether any of the keys is backing off or locked out
+         * @param {string[]} keys
+         * @returns {Promise<{error: string, status: 429, retryAfter: number}|null>}
+         */
+        async check(keys) {
+            const now = Date.now();
+            let waitMs = 0;
+            let locked = false;
+            for (const key of keys) {
+                const record = await store.get(storeKey(policy, key));
+                if (!record) continue;
+                if ((record.lockedUntil || 0) > now) locked = true;
+                waitMs = Math.max(waitMs, (record.lockedUntil || 0) - now, (record.nextAttemptAt || 0) - now);
+            }
+            if (waitMs <= 0) return null;
+
+            return {
+                error: locked
+                    ? `Too many failed attempts. Try again in ${describeWait(waitMs)}.`
+                    : `Too many attempts. Please wait ${describeWait(waitMs)} and try again.`,
+                status: 429,
+                retryAfter: Math.ceil(waitMs / 1000)
+            };
+        },
+
+        /**
+         * Count a failed attempt against every key; keys that reach the
+         * threshold are locked out and reported to the Telegram admin chat
+         * @param {string[]} keys
+         */
+        async recordFailure(keys) {
+            const now = Date.now();
+            const lockedKeys = [];
+
+            for (const key of keys) {
+                // Re-run from scratch if the store retries the update, so only the last run counts
+                let lockoutMs = 0;
+                await store.update(storeKey(policy, key), (current) => {
+                    const record = { ...(current || { failures: 0, lockouts: 0 }) };
+                    delete record.expiresAt;
+                    record.failures += 1;
+                    record.lastFailureAt = now;
+                    lockoutMs = 0;
+
+                    if (record.failures >= policy.lockoutThreshold) {
+                        lockoutMs = Math.min(policy.lockoutMs * 2 ** record.lockouts, MAX_LOCKOUT_MS);
+                        record.lockedUntil = now + lockoutMs;
+                        record.lockouts += 1;
+                        // Start counting again once the lockout ends
+                        record.failures = 0;
+                        record.nextAttemptAt = 0;
+                    } else if (record.failures > policy.freeAttempts) {
+                        const delay = policy.baseDelayMs * 2 ** (record.failures - policy.freeAttempts - 1);
+                        record.nextAttemptAt = now + Math.min(delay, policy.maxDelayMs);
+                    }
+
+                    return { record, ttlMs: Math.max(record.lockedUntil || 0, now) - now + policy.windowMs };
+                });
+                if (lockoutMs > 0) lockedKeys.push({ key, lockoutMs });
+            }
+
+            if (lockedKeys.length === 0) return;
+
+            const lines = lockedKeys.map(({ key, lockoutMs }) => {
+                console.log(`[RateLimit] ${policy.name} locked out ${key} for ${describeWait(lockoutMs)}`);
+                return `<b>${escapeHtml(key)}</b> for ${describeWait(lockoutMs)}`;
+            });
+            const message = `
+🔒 <b>Lockout: ${policy.name}</b>
+
+<b>Latest failed attempt:</b> ${escapeHtml(keys.join(', '))}
+
+<b>Locked after ${policy.lockoutThreshold} failures:</b>
+${lines.join('\n')}
+            `;
+            await sendTelegramNotification(message, env).catch(console.error);
+        },
+
+        /**
+         * Clear the counters after a successful attempt
+         * @param {string[]} keys
+         */
+        async reset(keys) {
+            for (const key of keys) {
+                await store.delete(storeKey(policy, key));
+            }
+        }
+    };
+}
@@ -0,0 +1,79 @@
+/**
+ * Admin roles and what each may do. Every admin document has a `role`:
+ *   owner    - everything, including deleting users, adjusting credits, managing admins and pricing
+ *   approver - read everything, approve and reject payments
+ *   viewer   - read only
+ */
+
+export const ROLES = ['owner', 'approver', 'viewer'];
+
+const PERMISSIONS = {
+    'payments:read': ['owner', 'approver', 'viewer'],
+    'users:read': ['owner', 'approver', 'viewer'],
+    'payments:approve': ['owner', 'approver'],
+    'payments:delete': ['owner'],
+    'users:delete': ['owner'],
+    'credits:adjust': ['owner'],
+    'admins:manage': ['owner'],
+    'pricing:manage': ['owner']
+};
+
+// Roles used before permissions were enforced; those admins could do everything
+const LEGACY_ROLES = {
+    super_admin: 'owner',
+    admin: 'owner'
+};
+
+/**
+ * Map a stored role to one of ROLES. Unknown or missing roles get the least access.
+ * @param {string} role
+ * @returns {string}
+ */
+export function normalizeRole(role) {
+    if (ROLES.includes(role)) return role;
+    return LEGACY_ROLES[role] || 'viewer';
+}
+
+/**
+ * Whether a role has a permission
+ * @param {string} role - Role from the admin session
+ * @param {string} permission - Key of PERMISSIONS, e.g. 'payments:approve'
+ * @returns {boolean}
+ */
+export function can(role, permission) {
+    const allowed = PERMISSIONS[permission];
+    if (!allowed) {
+        throw new Error(`Unknown permission "${permission}"`);
+    }
+    return allowed.includes(normalizeRole(role));
+}
+
+/**
+ * All permissions of a role, for the admin panel to hide actions it can't use
+ * @param {string} role
+ * @returns {string[]}
+ */
+export function permissionsFor(role) {
+    return Object.keys(PERMISSIONS).filter(permission => can(role, permission));
+}
+
+/**
+ * Find the admin linked to a Telegram user (admin document field `telegramChatId`,
+ * the id of the admin's private chat with the bot, which equals their Telegram user id;
+ * stored as a string or a number)
+ * @param {Object} db - Database from getDb()
+ * @param {number|string} telegramId
+ * @returns {Promise<{email: string, role: string}|null>}
+ */
+export async function findAdminByTelegramId(db, telegramId) {
+    const snapshot = await db.collection('admins')
+        .where('telegramChatId', 'in', [String(telegramId), Number(telegramId)])
+        .limit(1)
+        .get();
+    if (snapshot.empty) return null;
+
+    const doc = snapshot.docs[0];
+    const data = doc.data();
+    if (data.active === false) return null;
+    return { email: data.email || doc.id, role: normalizeRole(data.role) };
+}
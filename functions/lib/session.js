@@ -0,0 +1,151 @@
+/**
+ * Signed session tokens (HS256 JWT) using Web Crypto API (Cloudflare Workers compatible)
+ * The signing key comes from the SESSION_SECRET binding.
+ */
+import { normalizeRole } from './roles.js';
+import { toMillis } from './values.js';
+
+const ADMIN_SESSION_TTL = 8 * 60 * 60; // seconds
+const USER_SESSION_TTL = 7 * 24 * 60 * 60; // seconds
+
+const encoder = new TextEncoder();
+const keyCache = new Map();
+
+function base64UrlEncode(bytes) {
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), c => c.charCodeAt(0));
+}
+
+async function getSigningKey(env) {
+    const secret = env.SESSION_SECRET;
+    if (!secret) {
+        throw new Error('SESSION_SECRET is not configured');
+    }
+    if (!keyCache.has(secret)) {
+        keyCache.set(secret, await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(secret),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign', 'verify']
+        ));
+    }
+    return keyCache.get(secret);
+}
+
+/**
+ * Sign claims into a JWT that expires after ttlSeconds
+ * @param {Object} claims - Token claims (sub, typ, ...)
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {number} ttlSeconds - Lifetime of the token
+ * @returns {Promise<{token: string, expiresAt: string}>}
+ */
+export async function signSessionToken(claims, env, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64UrlEncode(encoder.encode(JSON.stringify({ alg: 'HS256', typ: 'JWT' })));
+    const payload = base64UrlEncode(encoder.encode(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds })));
+
+    const key = await getSigningKey(env);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${header}.${payload}`));
+
+    return {
+        token: `${header}.${payload}.${base64UrlEncode(new Uint8Array(signature))}`,
+        expiresAt: new Date((now + ttlSeconds) * 1000).toISOString()
+    };
+}
+
+/**
+ * Verify a JWT's signature and expiry
+ * @param {string} token - Token from the Authorization header
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {string} type - Expected typ claim ('admin', 'user', ...)
+ * @returns {Promise<Object|null>} - The claims, or null if the token is invalid or expired
+ */
+export async function verifySessionToken(token, env, type) {
+    const parts = (token || '').split('.');
+    if (parts.length !== 3) return null;
+
+    const key = await getSigningKey(env);
+    try {
+        const valid = await crypto.subtle.verify('HMAC', key, base64UrlDecode(parts[2]), encoder.encode(`${parts[0]}.${parts[1]}`));
+        if (!valid) return null;
+
+        const header = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[0])));
+        const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[1])));
+        if (header.alg !== 'HS256' || claims.typ !== type) return null;
+        if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+
+        return claims;
+    } catch (error) {
+        // Malformed base64 or JSON
+        return null;
+    }
+}
+
+/**
+ * Read the token from an "Authorization: Bearer <token>" header
+ * @param {Request} request
+ * @returns {string|null}
+ */
+export function getBearerToken(request) {
+    const match = /^Bearer\s+(.+)$/i.exec(request.headers.get('Authorization') || '');
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Issue a session token for an admin who just logged in
+ * @param {Object} admin - { email, role }
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<{token: string, expiresAt: string}>}
+ */
+export async function createAdminSession(admin, env) {
+    return signSessionToken({ sub: admin.email, role: admin.role, typ: 'admin' }, env, ADMIN_SESSION_TTL);
+}
+
+/**
+ * Middleware for admin actions: verifies the bearer token and that the admin
+ * account still exists and is active.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {Object} db - Database from getDb()
+ * @returns {Promise<{email: string, role: string}|null>} - The admin, or null (respond 401)
+ */
+export async function requireAdmin(request, env, db) {
+    const claims = await verifySessionToken(getBearerToken(request), env, 'admin');
+    if (!claims) return null;
+
+    const doc = await db.collection('admins').doc(claims.sub).get();
+    if (!doc.exists || doc.data().active === false) return null;
+    // A password reset ends sessions issued before it
+    if (claims.iat < Math.floor(toMillis(doc.data().passwordChangedAt) / 1000)) return null;
+
+    // Role is read fresh so a role change applies without logging out
+    return { email: claims.sub, role: normalizeRole(doc.data().role) };
+}
+
+/**
+ * Issue a session token for a user who verified a login code
+ * @param {string} email
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<{token: string, expiresAt: string}>}
+ */
+export async function createUserSession(email, env) {
+    return signSessionToken({ sub: email, typ: 'user' }, env, USER_SESSION_TTL);
+}
+
+/**
+ * Middleware for user actions: verifies the bearer token
+ * @param {Request} request
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<string|null>} - The user's email, or null (respond 401)
+ */
+export async function requireUser(request, env) {
+    const claims = await verifySessionToken(getBearerToken(request), env, 'user');
+    return claims ? claims.sub : null;
+}
@@ -1,6 +1,7 @@
 /**
  * Telegram notification utilities for Cloudflare Workers
  */
+import { timingSafeEqual } from './crypto-utils.js';
 
 /**
  * Send a Telegram notification
@@ -56,8 +57,12 @@ export async function sendTelegramNotification(message, env, options = {}) {
  * @param {string} txid - Transaction ID
  * @param {string} paymentId - Payment document ID
  * @param {Object} env - Cloudflare environment bindings
+ * @param {Object} options - Optional parameters
+ * @param {string} options.network - Network label, e.g. "USDT TRC-20 (Tron)"
+ * @param {string} options.verification - Result of the on-chain check (see lib/payment-verifier.js)
+ * @param {string} options.fraudWarning - Why this payment looks fraudulent, e.g. a reused TXID (see lib/txids.js)
  */
-export async function sendPaymentNotificationWithButtons(email, amount, txid, paymentId, env) {
+export async function sendPaymentNotificationWithButtons(email, amount, txid, paymentId, env, options = {}) {
     console.log('[TelegramLib] sendPaymentNotificationWithButtons called');
     console.log('[TelegramLib] email:', email, 'amount:', amount, 'paymentId:', paymentId);
 
@@ -68,10 +73,10 @@ export async function sendPaymentNotificationWithButtons(email, amount, txid, pa
 
 <b>User:</b> ${email}
 <b>Amount:</b> $${amount}
-<b>TXID:</b> <code>${txid}</code>
+<b>TXID:</b> <code>${txid}</code>${options.network ? `\n<b>Network:</b> ${options.network}` : ''}
 <b>Payment ID:</b> <code>${paymentId}</code>
-<b>Status:</b> ⏳ <b>PENDING</b>
-
+<b>Status:</b> ⏳ <b>PENDING</b>${options.verification ? `\n<b>On-chain:</b> ${options.verification}` : ''}
+${options.fraudWarning ? `\n🚨 <b>FRAUD WARNING:</b> ${options.fraudWarning}\n` : ''}
 <i>Tap a button below to approve or reject immediately.</i>
     `;
 
@@ -81,6 +86,7 @@ export async function sendPaymentNotificationWithButtons(email, amount, txid, pa
             { text: '❌ Reject Payment', callback_data: `reject_${paymentId}` }
         ],
         [
+            { text: '🔍 Verify On-Chain', callback_data: `verify_${paymentId}` },
             { text: '🗑️ Delete Payment', callback_data: `delete_payment_${paymentId}` }
         ],
         [
@@ -167,3 +173,57 @@ ${pendingPayments > 0 ? '⚠️ <b>Action Required:</b> ' + pendingPayments + '
 
     await sendTelegramNotification(message, env);
 }
+
+// Telegram only accepts these characters in a webhook secret_token (1-256 chars)
+const WEBHOOK_SECRET_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+/**
+ * Whether a webhook request carries the secret registered with setWebhook.
+ * Telegram sends it in the X-Telegram-Bot-Api-Secret-Token header.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare environment bindings (TELEGRAM_WEBHOOK_SECRET)
+ * @returns {boolean}
+ */
+export function verifyWebhookSecret(request, env) {
+    const secret = env.TELEGRAM_WEBHOOK_SECRET;
+    if (!secret) return false;
+    return timingSafeEqual(request.headers.get('X-Telegram-Bot-Api-Secret-Token') || '', secret);
+}
+
+/**
+ * Point the bot's webhook at a URL and register TELEGRAM_WEBHOOK_SECRET as its
+ * secret_token, so Telegram sends it with every update
+ * @param {string} webhookUrl - Public URL of /api/telegram-webhook
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<{ok: true, description: string}|{error: string, status: number}>}
+ */
+export async function setTelegramWebhook(webhookUrl, env) {
+    const botToken = env.TELEGRAM_BOT_TOKEN;
+    const secret = env.TELEGRAM_WEBHOOK_SECRET;
+
+    if (!botToken) {
+        return { error: 'TELEGRAM_BOT_TOKEN is not set', status: 500 };
+    }
+    if (!secret || !WEBHOOK_SECRET_PATTERN.test(secret)) {
+        return { error: 'TELEGRAM_WEBHOOK_SECRET must be 1-256 characters of A-Z, a-z, 0-9, _ or -', status: 500 };
+    }
+
+    const response = await fetch(`https://api.telegram.org/bot${botToken}/setWebhook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            url: webhookUrl,
+            secret_token: secret,
+            allowed_updates: ['message', 'callback_query']
+        })
+    });
+
+    const data = await response.json();
+    if (!data.ok) {
+        console.error('Telegram setWebhook error:', data);
+        return { error: data.description || 'setWebhook failed', status: 502 };
+    }
+
+    console.log(`[TelegramLib] Webhook set to ${webhookUrl}`);
+    return { ok: true, description: data.description };
+}
@@ -0,0 +1,289 @@
+/**
+ * Optional TOTP second factor for admin accounts (RFC 6238, HMAC-SHA1,
+ * 6 digits, 30 second steps), using Web Crypto API (Cloudflare Workers compatible).
+ *
+ * State lives on the admin document in `admins/{email}`:
+ *   totpEnabled         - login requires a code when true
+ *   totpSecret          - base32 secret of the enrolled authenticator
+ *   totpPendingSecret   - secret from totp-setup, until confirmed with totp-enable
+ *   totpLastStep        - last accepted time step, so a code cannot be replayed
+ *   recoveryCodeHashes  - SHA-256 of the unused one-time recovery codes
+ */
+import { sha256Hex, timingSafeEqual, randomString } from './crypto-utils.js';
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept codes from one step before/after the current one to allow for clock drift
+const TOTP_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = 'TM SMS Admin';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const RECOVERY_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+function base32Encode(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(secret) {
+    const clean = secret.toUpperCase().replace(/[\s=-]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+// HOTP value for one counter (RFC 4226 dynamic truncation)
+async function hotp(key, counter) {
+    const message = new Uint8Array(8);
+    new DataView(message.buffer).setBigUint64(0, BigInt(counter));
+    const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+    const offset = mac[mac.length - 1] & 0x0f;
+    const binary = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Generate a new random secret (160 bits, base32)
+ * @returns {string}
+ */
+export function generateTotpSecret() {
+    const bytes = new Uint8Array(20);
+    crypto.getRandomValues(bytes);
+    return base32Encode(bytes);
+}
+
+/**
+ * otpauth:// URI for authenticator apps; the admin panel renders it as a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} email - Admin account name shown in the app
+ * @returns {string}
+ */
+export function totpUri(secret, email) {
+    const label = encodeURIComponent(`${ISSUER}:${email}`);
+    // Built by hand: URLSearchParams writes spaces as "+", which some apps show literally
+    const params = `secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1` +
+        `&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+    return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Check a code against a secret within the drift window
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the admin
+ * @param {number} lastStep - Last accepted step; codes at or before it are rejected
+ * @returns {Promise<number|null>} - The matching time step, or null
+ */
+export async function verifyTotp(secret, code, lastStep = -1) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(candidate)) {
+        return null;
+    }
+
+    const key = await crypto.subtle.importKey(
+        'raw',
+        base32Decode(secret),
+        { name: 'HMAC', hash: 'SHA-1' },
+        false,
+        ['sign']
+    );
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    let matched = null;
+    // Check every step in the window so the timing doesn't reveal which one matched
+    for (let step = currentStep - TOTP_DRIFT_STEPS; step <= currentStep + TOTP_DRIFT_STEPS; step++) {
+        if (timingSafeEqual(await hotp(key, step), candidate) && step > lastStep) {
+            matched = step;
+        }
+    }
+    return matched;
+}
+
+/**
+ * Generate one-time recovery codes
+ * @returns {Promise<{codes: string[], hashes: string[]}>} - Show `codes` once, store `hashes`
+ */
+export async function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const chars = randomString(RECOVERY_ALPHABET, 10);
+        codes.push(`${chars.slice(0, 5)}-${chars.slice(5)}`);
+    }
+    const hashes = await Promise.all(codes.map(code => sha256Hex(normalizeRecoveryCode(code))));
+    return { codes, hashes };
+}
+
+/**
+ * Check the second factor for an admin whose password was just verified.
+ * Accepts `totpCode` or `recoveryCode` from the login body.
+ * @param {Object} adminData - The admin document
+ * @param {Object} body - Login request body
+ * @returns {Promise<{update: Object, usedRecoveryCode: boolean}|{error: string, status: number, twoFactorRequired: true}>}
+ *          `update` holds the fields to write with the login (last step / remaining recovery codes)
+ */
+export async function checkSecondFactor(adminData, body) {
+    if (!adminData.totpEnabled) {
+        return { update: {}, usedRecoveryCode: false };
+    }
+
+    if (body.recoveryCode) {
+        const hash = await sha256Hex(normalizeRecoveryCode(body.recoveryCode));
+        const remaining = (adminData.recoveryCodeHashes || []).filter(stored => !timingSafeEqual(stored, hash));
+        if (remaining.length === (adminData.recoveryCodeHashes || []).length) {
+            return { error: 'Invalid recovery code', status: 401, twoFactorRequired: true };
+        }
+        return { update: { recoveryCodeHashes: remaining }, usedRecoveryCode: true };
+    }
+
+    if (!body.totpCode) {
+        return { error: 'Two-factor code required', status: 401, twoFactorRequired: true };
+    }
+
+    const lastStep = typeof adminData.totpLastStep === 'number' ? adminData.totpLastStep : -1;
+    const step = await verifyTotp(adminData.totpSecret, body.totpCode, lastStep);
+    if (step === null) {
+        return { error: 'Invalid two-factor code', status: 401, twoFactorRequired: true };
+    }
+    return { update: { totpLastStep: step }, usedRecoveryCode: false };
+}
+
+async function getAdminDoc(db, email) {
+    const ref = db.collection('admins').doc(email);
+    return { ref, data: (await ref.get()).data() || {} };
+}
+
+/**
+ * Enrolment state for the admin panel
+ * @param {Object} db - Database from getDb()
+ * @param {string} email - Admin email
+ * @returns {Promise<{enabled: boolean, recoveryCodesRemaining: number}>}
+ */
+export async function getTwoFactorStatus(db, email) {
+    const { data } = await getAdminDoc(db, email);
+    return {
+        enabled: data.totpEnabled === true,
+        recoveryCodesRemaining: data.totpEnabled ? (data.recoveryCodeHashes || []).length : 0
+    };
+}
+
+/**
+ * Start enrolment: store a pending secret until the admin confirms a code from it
+ * @returns {Promise<{secret: string, otpauthUri: string}|{error: string, status: number}>}
+ */
+export async function startTwoFactorSetup(db, email) {
+    const { ref, data } = await getAdminDoc(db, email);
+    if (data.totpEnabled) {
+        return { error: 'Two-factor authentication is already enabled', status: 400 };
+    }
+
+    const secret = generateTotpSecret();
+    await ref.update({ totpPendingSecret: secret });
+    return { secret, otpauthUri: totpUri(secret, email) };
+}
+
+/**
+ * Finish enrolment with a code from the pending secret
+ * @returns {Promise<{recoveryCodes: string[]}|{error: string, status: number}>}
+ */
+export async function enableTwoFactor(db, email, code) {
+    const { ref, data } = await getAdminDoc(db, email);
+    if (data.totpEnabled) {
+        return { error: 'Two-factor authentication is already enabled', status: 400 };
+    }
+    if (!data.totpPendingSecret) {
+        return { error: 'Start two-factor setup first', status: 400 };
+    }
+
+    const step = await verifyTotp(data.totpPendingSecret, code);
+    if (step === null) {
+        return { error: 'Invalid two-factor code', status: 400 };
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    await ref.update({
+        totpEnabled: true,
+        totpSecret: data.totpPendingSecret,
+        totpPendingSecret: null,
+        totpLastStep: step,
+        totpEnabledAt: new Date(),
+        recoveryCodeHashes: hashes
+    });
+    return { recoveryCodes: codes };
+}
+
+/**
+ * Turn two-factor off; needs a current code or a recovery code
+ * @returns {Promise<{success: true}|{error: string, status: number}>}
+ */
+export async function disableTwoFactor(db, email, body) {
+    const { ref, data } = await getAdminDoc(db, email);
+    if (!data.totpEnabled) {
+        return { error: 'Two-factor authentication is not enabled', status: 400 };
+    }
+
+    const check = await checkSecondFactor(data, body);
+    if (check.error) {
+        // 400 rather than 401 so the admin panel doesn't treat it as an expired session
+        return { error: check.error, status: 400 };
+    }
+
+    await ref.update({
+        totpEnabled: false,
+        totpSecret: null,
+        totpPendingSecret: null,
+        totpLastStep: null,
+        totpEnabledAt: null,
+        recoveryCodeHashes: []
+    });
+    return { success: true };
+}
+
+/**
+ * Replace all recovery codes; needs a current code
+ * @returns {Promise<{recoveryCodes: string[]}|{error: string, status: number}>}
+ */
+export async function regenerateRecoveryCodes(db, email, code) {
+    const { ref, data } = await getAdminDoc(db, email);
+    if (!data.totpEnabled) {
+        return { error: 'Two-factor authentication is not enabled', status: 400 };
+    }
+
+    const check = await checkSecondFactor(data, { totpCode: code });
+    if (check.error) {
+        return { error: check.error, status: 400 };
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    await ref.update({ ...check.update, recoveryCodeHashes: hashes });
+    return { recoveryCodes: codes };
+}
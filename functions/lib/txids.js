@@ -0,0 +1,143 @@
+/**
+ * Transaction IDs of submitted payments. Each txid can back one live payment:
+ * submit-payment claims payment_txids/{txid} in the same commit that creates
+ * the payment, so the same transaction can't be submitted (and approved) twice.
+ * Approving the payment stamps approvedAt on the claim. A txid becomes free
+ * again only when its payment is rejected or deleted without ever having been
+ * approved; an approved payment can't be rejected (see lib/payments.js).
+ */
+import { FieldValue } from './firebase.js';
+
+/**
+ * Canonical form of a USDT txid: 64 lowercase hex characters, without 0x
+ * (Ethereum explorers show the prefix, Tron ones don't)
+ * @param {string} txid - As pasted by the user
+ * @returns {string|null} - null when it isn't a transaction hash
+ */
+export function normalizeTxid(txid) {
+    const value = String(txid || '').trim().toLowerCase().replace(/^0x/, '');
+    return /^[0-9a-f]{64}$/.test(value) ? value : null;
+}
+
+// Whether a payment still holds its txid
+function holdsTxid(payment) {
+    return payment.status !== 'rejected' || !!payment.approvedAt;
+}
+
+// Payments from before txids were claimed have no payment_txids document
+async function findUnclaimedPayment(db, txid) {
+    const snapshot = await db.collection('payments').where('txid', 'in', [txid, `0x${txid}`]).get();
+    const doc = snapshot.docs.find(d => holdsTxid(d.data()));
+    return doc ? { id: doc.id, data: doc.data() } : null;
+}
+
+/**
+ * Create a payment, claiming its (normalized) txid
+ * @param {Object} db - Database from getDb()
+ * @param {Object} paymentData - New payment document; paymentData.txid must be normalized
+ * @returns {Promise<{paymentId: string}|{duplicate: {id: string, data: Object}}>}
+ *          `duplicate` is the pending or approved payment already using the txid
+ */
+export async function createPaymentWithTxid(db, paymentData) {
+    const unclaimed = await findUnclaimedPayment(db, paymentData.txid);
+    if (unclaimed) {
+        return { duplicate: unclaimed };
+    }
+
+    const paymentRef = db.collection('payments').doc();
+    const claimRef = db.collection('payment_txids').doc(paymentData.txid);
+    const claim = { paymentId: paymentRef.id, email: paymentData.email, claimedAt: new Date() };
+
+    const batch = db.batch();
+    batch.create(claimRef, claim);
+    batch.create(paymentRef, paymentData);
+    try {
+        await batch.commit();
+        return { paymentId: paymentRef.id };
+    } catch (error) {
+        if (error.code !== 'ALREADY_EXISTS') throw error;
+    }
+
+    // Already claimed: only a payment rejected or deleted before approval gives the txid up
+    const claimDoc = await claimRef.get();
+    if (!claimDoc.exists) {
+        return createPaymentWithTxid(db, paymentData);
+    }
+    const claimedDoc = await db.collection('payments').doc(claimDoc.data().paymentId).get();
+    if (claimDoc.data().approvedAt || (claimedDoc.exists && holdsTxid(claimedDoc.data()))) {
+        const data = claimedDoc.exists ? claimedDoc.data() : { ...claimDoc.data(), status: 'deleted' };
+        return { duplicate: { id: claimedDoc.id, data } };
+    }
+
+    // The precondition fails the commit if someone else took the txid over meanwhile
+    const retry = db.batch();
+    retry.update(claimRef, claim, { lastUpdateTime: claimDoc.updateTime });
+    retry.create(paymentRef, paymentData);
+    await retry.commit();
+    return { paymentId: paymentRef.id };
+}
+
+/**
+ * Check that a payment about to be approved holds its txid claim
+ * @param {Object} db - Database from getDb()
+ * @param {string} paymentId
+ * @param {string} txid - As stored on the payment
+ * @returns {Promise<{claimRef: Object|null, claimDoc: Object|null}|{error: string, status: number}>}
+ *          claimRef is null for legacy txids that aren't transaction hashes
+ */
+export async function readClaimForApproval(db, paymentId, txid) {
+    const normalized = normalizeTxid(txid);
+    if (!normalized) {
+        return { claimRef: null, claimDoc: null };
+    }
+    const claimRef = db.collection('payment_txids').doc(normalized);
+    const claimDoc = await claimRef.get();
+    if (claimDoc.exists && claimDoc.data().paymentId !== paymentId) {
+        return { error: `This transaction ID now belongs to payment ${claimDoc.data().paymentId}`, status: 409 };
+    }
+    return { claimRef, claimDoc };
+}
+
+/**
+ * Add the claim write of an approval to its batch; the claim then survives
+ * the payment being deleted
+ * @param {Object} batch - The approval's db.batch()
+ * @param {{claimRef: Object|null, claimDoc: Object|null}} claim - From readClaimForApproval()
+ * @param {string} paymentId
+ * @param {string} email - Payment owner
+ * @param {Date} approvedAt
+ */
+export function writeClaimApproval(batch, claim, paymentId, email, approvedAt) {
+    const { claimRef, claimDoc } = claim;
+    if (!claimRef) return;
+    if (claimDoc.exists) {
+        batch.update(claimRef, { approvedAt }, { lastUpdateTime: claimDoc.updateTime });
+    } else {
+        // Payments from before txids were claimed
+        batch.create(claimRef, { paymentId, email, claimedAt: approvedAt, approvedAt });
+    }
+}
+
+/**
+ * Note a rejected attempt to reuse a payment's txid on that payment, for the admin panel
+ * @param {Object} db - Database from getDb()
+ * @param {string} paymentId - Payment that owns the txid
+ * @param {{email: string, amount: number}} attempt - Who tried to reuse it
+ */
+export async function recordTxidReuse(db, paymentId, attempt) {
+    await db.collection('payments').doc(paymentId).update({
+        fraudWarning: true,
+        txidReuseAttempts: FieldValue.arrayUnion({ ...attempt, attemptedAt: new Date() })
+    });
+}
+
+/**
+ * Fraud warning line for admin messages
+ * @param {string} email - Who tried to reuse the txid
+ * @param {{id: string, data: Object}} original - Payment that owns the txid
+ * @returns {string}
+ */
+export function describeTxidReuse(email, original) {
+    const owner = original.data.email === email ? 'the same user' : original.data.email;
+    return `${email} tried to reuse this TXID, already used by ${owner} in ${original.data.status} payment ${original.id}`;
+}
@@ -0,0 +1,126 @@
+/**
+ * Firestore value types shared by the Firestore REST client and the in-memory backend
+ */
+
+/**
+ * A point in time with nanosecond precision, stored as a Firestore timestampValue.
+ * JS Dates written to the database are converted to Timestamps.
+ */
+export class Timestamp {
+    constructor(seconds, nanoseconds = 0) {
+        if (!Number.isInteger(seconds) || !Number.isInteger(nanoseconds) || nanoseconds < 0 || nanoseconds > 999999999) {
+            throw new Error(`Invalid Timestamp(${seconds}, ${nanoseconds})`);
+        }
+        this.seconds = seconds;
+        this.nanoseconds = nanoseconds;
+    }
+
+    static now() {
+        return Timestamp.fromMillis(Date.now());
+    }
+
+    static fromDate(date) {
+        return Timestamp.fromMillis(date.getTime());
+    }
+
+    static fromMillis(millis) {
+        const seconds = Math.floor(millis / 1000);
+        return new Timestamp(seconds, Math.floor((millis - seconds * 1000) * 1e6));
+    }
+
+    // Parse an RFC 3339 string as returned by the REST API (up to nanosecond precision)
+    static fromString(value) {
+        const match = /^(.+?)(?:\.(\d+))?(Z|[+-]\d{2}:\d{2})$/.exec(value);
+        const millis = match ? Date.parse(match[1] + match[3]) : NaN;
+        if (Number.isNaN(millis)) {
+            throw new Error(`Invalid timestamp: ${value}`);
+        }
+        const nanos = parseInt((match[2] || '0').padEnd(9, '0').slice(0, 9), 10);
+        return new Timestamp(millis / 1000, nanos);
+    }
+
+    toDate() {
+        return new Date(this.toMillis());
+    }
+
+    toMillis() {
+        return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+    }
+
+    // RFC 3339 with full precision, the wire format for timestampValue
+    toRFC3339() {
+        const base = new Date(this.seconds * 1000).toISOString().slice(0, 19);
+        const fraction = this.nanoseconds ? '.' + String(this.nanoseconds).padStart(9, '0').replace(/0+$/, '') : '';
+        return `${base}${fraction}Z`;
+    }
+
+    isEqual(other) {
+        return other instanceof Timestamp && other.seconds === this.seconds && other.nanoseconds === this.nanoseconds;
+    }
+
+    // Lets new Date(timestamp) and < / > comparisons work like they did for ISO strings
+    valueOf() {
+        return this.toMillis();
+    }
+
+    // API responses keep serialising dates as ISO strings
+    toJSON() {
+        return this.toDate().toISOString();
+    }
+
+    toString() {
+        return this.toRFC3339();
+    }
+}
+
+/**
+ * A latitude/longitude pair, stored as a Firestore geoPointValue
+ */
+export class GeoPoint {
+    constructor(latitude, longitude) {
+        if (!(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180)) {
+            throw new Error(`Invalid GeoPoint(${latitude}, ${longitude})`);
+        }
+        this.latitude = latitude;
+        this.longitude = longitude;
+    }
+
+    isEqual(other) {
+        return other instanceof GeoPoint && other.latitude === this.latitude && other.longitude === this.longitude;
+    }
+
+    toJSON() {
+        return { latitude: this.latitude, longitude: this.longitude };
+    }
+}
+
+export function bytesToBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+/**
+ * Integer values beyond Number.MAX_SAFE_INTEGER come back as BigInt, so
+ * they keep their exact value; everything else is a Number
+ */
+export function parseInteger(value) {
+    const number = Number(value);
+    return Number.isSafeInteger(number) ? number : BigInt(value);
+}
+
+/**
+ * Milliseconds since the epoch for a Timestamp, Date or ISO string (0 when missing),
+ * for sorting documents written before timestamps were stored natively
+ */
+export function toMillis(value) {
+    if (!value) return 0;
+    if (value instanceof Timestamp) return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    const millis = new Date(value).getTime();
+    return Number.isNaN(millis) ? 0 : millis;
+}
@@ -11,7 +11,7 @@ function checkAuthStatus() {
     return true;
 }
 
-// Login function
+// Login function - step 1: email a one-time login code to the user
 async function loginUser(email) {
     try {
         // Validate email format
@@ -19,15 +19,46 @@ async function loginUser(email) {
             throw new Error('Invalid email format');
         }
 
-        // Check if user exists
-        const userExists = await checkUserInMainApp(email);
+        const response = await fetch('/api/users?action=request-login-code', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ email: email })
+        });
 
-        if (!userExists) {
-            throw new Error('Account not found. Please sign up to create a new account.');
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Could not send login code');
+        }
+
+        return { success: true, codeSent: true, message: `If ${email} has an account, we sent a 6-digit login code to it` };
+
+    } catch (error) {
+        return { success: false, message: error.message };
+    }
+}
+
+// Login function - step 2: exchange the code for a signed session
+async function verifyLoginCode(email, code) {
+    try {
+        const response = await fetch('/api/users?action=verify-login-code', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ email: email, code: code })
+        });
+
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Invalid login code');
         }
 
         // Store user session
-        sessionStorage.setItem('userEmail', email);
+        sessionStorage.setItem('userEmail', data.email);
+        sessionStorage.setItem('userToken', data.token);
+        sessionStorage.setItem('userSessionExpires', data.expiresAt);
         sessionStorage.setItem('loginTime', Date.now());
 
         // Check if there's a redirect parameter (e.g., for admin panel)
@@ -133,6 +164,8 @@ async function createUserAccount(email) {
 function logout() {
     // Clear session data
     sessionStorage.removeItem('userEmail');
+    sessionStorage.removeItem('userToken');
+    sessionStorage.removeItem('userSessionExpires');
     sessionStorage.removeItem('loginTime');
     sessionStorage.removeItem('isNewUser');
 
@@ -166,10 +199,15 @@ document.addEventListener('DOMContentLoaded', function () {
     const signupForm = document.getElementById('signupForm');
 
     if (loginForm) {
+        const codeGroup = document.getElementById('codeGroup');
+        const codeInfo = document.getElementById('codeInfo');
+
         loginForm.addEventListener('submit', async function (e) {
             e.preventDefault();
 
             const email = document.getElementById('email').value;
+            const code = document.getElementById('loginCode').value.trim();
+            const awaitingCode = codeGroup.style.display !== 'none';
             const loginBtn = document.getElementById('loginBtn');
             const buttonText = loginBtn.querySelector('.button-text');
             const buttonLoading = loginBtn.querySelector('.button-loading');
@@ -182,9 +220,15 @@ document.addEventListener('DOMContentLoaded', function () {
             emailError.style.display = 'none';
 
             try {
-                const result = await loginUser(email);
-
-                if (result.success) {
+                const result = awaitingCode ? await verifyLoginCode(email, code) : await loginUser(email);
+
+                if (result.success && result.codeSent) {
+                    // Ask for the emailed code
+                    codeGroup.style.display = 'block';
+                    codeInfo.textContent = result.message;
+                    buttonText.textContent = 'Verify Code';
+                    document.getElementById('loginCode').focus();
+                } else if (result.success) {
                     // Check for redirect parameter
                     if (result.redirect) {
                         window.location.href = result.redirect;
@@ -207,6 +251,14 @@ document.addEventListener('DOMContentLoaded', function () {
                 loginBtn.disabled = false;
             }
         });
+        // Magic link from the login email: login.html?email=...&code=...
+        const linkParams = new URLSearchParams(window.location.search);
+        if (linkParams.get('email') && linkParams.get('code')) {
+            document.getElementById('email').value = linkParams.get('email');
+            document.getElementById('loginCode').value = linkParams.get('code');
+            codeGroup.style.display = 'block';
+            loginForm.requestSubmit();
+        }
     }
 
     if (signupForm) {
@@ -14,13 +14,64 @@ document.addEventListener('DOMContentLoaded', function () {
 // Check authentication status
 function checkAuthStatus() {
     const userEmail = sessionStorage.getItem('userEmail');
-    if (!userEmail) {
-        window.location.href = 'login.html';
+    const userToken = sessionStorage.getItem('userToken');
+    const expiresAt = sessionStorage.getItem('userSessionExpires');
+    if (!userEmail || !userToken || (expiresAt && new Date(expiresAt) <= new Date())) {
+        logout();
         return false;
     }
     return true;
 }
 
+// Call a user API with the session token from login; the server takes the
+// email from the token, so an expired session logs the user out
+async function userFetch(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            ...(options.headers || {}),
+            'Authorization': `Bearer ${sessionStorage.getItem('userToken')}`
+        }
+    });
+    if (response.status === 401) {
+        logout();
+    }
+    return response;
+}
+
+// Pricing config (see js/pricing.js), fetched once per page
+let pricingPromise = null;
+function loadPricing() {
+    if (!pricingPromise) {
+        pricingPromise = window.Pricing.fetchPricing();
+    }
+    return pricingPromise;
+}
+
+// Credits quoted when the payment was submitted; older payments have none stored
+function paymentCredits(payment, pricing) {
+    return Number.isInteger(payment.credits) ? payment.credits : window.Pricing.creditsForAmount(payment.amount, pricing);
+}
+
+// Show what the entered amount buys under the current pricing
+async function updateCreditsPreview() {
+    const preview = document.getElementById('paymentCreditsPreview');
+    const amountInput = document.getElementById('paymentAmount');
+    if (!preview || !amountInput) return;
+
+    const pricing = await loadPricing();
+    amountInput.min = pricing.minimumAmount;
+    const amount = parseFloat(amountInput.value);
+    if (!(amount >= pricing.minimumAmount)) {
+        preview.textContent = `Minimum payment is $${pricing.minimumAmount}`;
+        return;
+    }
+
+    const discount = window.Pricing.discountFor(amount, pricing);
+    const credits = window.Pricing.creditsForAmount(amount, pricing);
+    preview.textContent = `${credits} SMS credits${discount ? ` (${discount.discountPercent}% volume discount)` : ''}`;
+}
+
 // Load dashboard data
 async function loadDashboard() {
     const userEmail = sessionStorage.getItem('userEmail');
@@ -30,7 +81,7 @@ async function loadDashboard() {
     document.getElementById('userEmail').textContent = userEmail;
 
     // Load user data
-    const userData = await getUserData(userEmail);
+    const userData = await getUserData();
     if (userData) {
         displayUserData(userData);
     } else {
@@ -42,11 +93,14 @@ async function loadDashboard() {
     // Load payment history
     await loadPaymentHistory();
 
+    // Load API keys
+    await loadApiKeys();
+
     // Check for payment confirmations
     await checkPaymentConfirmations();
 
     // Force refresh user data to get updated credits
-    const updatedUserData = await getUserData(userEmail);
+    const updatedUserData = await getUserData();
     if (updatedUserData) {
         displayUserData(updatedUserData);
     }
@@ -56,14 +110,14 @@ async function loadDashboard() {
 }
 
 // Get user data from Firebase API
-async function getUserData(email) {
+async function getUserData() {
     try {
-        const response = await fetch('/api/users?action=get-user-data', {
+        const response = await userFetch('/api/users?action=get-user-data', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ userEmail: email })
+            body: JSON.stringify({})
         });
 
         const data = await response.json();
@@ -150,19 +204,23 @@ function displayUserData(userData) {
         formatDate(userData.lastUsed) : 'Never';
 
     // Display recent activity
-    displayRecentActivity(userData.recentActivity || []);
+    displayRecentActivity(userData.recentActivity || [], userData.creditHistory || []);
 }
 
-// Display recent activity
-function displayRecentActivity(activities) {
-    const activityList = document.getElementById('activityList');
+const CREDIT_ACTIVITY_TITLES = {
+    purchase: 'Credits purchased',
+    refund: 'Credits refunded',
+    adjustment: 'Credits adjusted'
+};
 
-    if (activities.length === 0) {
-        activityList.innerHTML = '<div class="no-activity">No recent activity</div>';
-        return;
-    }
+// Display recent activity: sent SMS plus credit purchases, refunds and adjustments
+function displayRecentActivity(activities, creditHistory = []) {
+    const activityList = document.getElementById('activityList');
 
-    const activityHTML = activities.map(activity => `
+    const items = [
+        ...activities.map(activity => ({
+            time: activity.timestamp,
+            html: `
         <div class="activity-item">
             <div class="activity-icon">📱</div>
             <div class="activity-details">
@@ -170,10 +228,29 @@ function displayRecentActivity(activities) {
                 <div class="activity-time">${formatDate(activity.timestamp)}</div>
             </div>
             <div class="activity-status">${activity.status}</div>
-        </div>
-    `).join('');
+        </div>`
+        })),
+        ...creditHistory.map(entry => ({
+            time: entry.createdAt,
+            html: `
+        <div class="activity-item">
+            <div class="activity-icon">💳</div>
+            <div class="activity-details">
+                <div class="activity-title">${CREDIT_ACTIVITY_TITLES[entry.type] || 'Credits changed'}${entry.reason && entry.type === 'adjustment' ? ` (${entry.reason})` : ''}</div>
+                ${entry.note ? `<div class="activity-time">${escapeHtml(entry.note)}</div>` : ''}
+                <div class="activity-time">${formatDate(entry.createdAt)}</div>
+            </div>
+            <div class="activity-status">${entry.delta > 0 ? '+' : ''}${entry.delta} · balance ${entry.balanceAfter}</div>
+        </div>`
+        }))
+    ].sort((a, b) => new Date(b.time) - new Date(a.time));
 
-    activityList.innerHTML = activityHTML;
+    if (items.length === 0) {
+        activityList.innerHTML = '<div class="no-activity">No recent activity</div>';
+        return;
+    }
+
+    activityList.innerHTML = items.map(item => item.html).join('');
 }
 
 // Format date for display
@@ -227,6 +304,8 @@ function showPricing() {
             packageInfo.style.display = 'none';
         }
     }
+
+    updateCreditsPreview();
 }
 
 // Close payment modal
@@ -279,6 +358,7 @@ async function submitPayment(event) {
 
     const amount = document.getElementById('paymentAmount').value;
     const txid = document.getElementById('paymentTxid').value;
+    const network = document.getElementById('paymentNetwork').value;
     const userEmail = sessionStorage.getItem('userEmail');
     const submitBtn = event.target.querySelector('button[type="submit"]');
 
@@ -289,22 +369,30 @@ async function submitPayment(event) {
     submitBtn.disabled = true;
 
     try {
-        const response = await fetch('/api/payments?action=submit-payment', {
+        const response = await userFetch('/api/payments?action=submit-payment', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                email: userEmail,
                 amount: amount,
-                txid: txid
+                txid: txid,
+                network: network
             })
         });
 
         const data = await response.json();
 
         if (data.success) {
-            alert('Payment submitted successfully! Your credits will be added once approved.');
+            if (data.approved) {
+                alert(`Payment verified on chain! ${data.creditsAdded} SMS credits have been added.`);
+                const userData = await getUserData();
+                if (userData) {
+                    displayUserData(userData);
+                }
+            } else {
+                alert('Payment submitted successfully! Your credits will be added once the transaction is confirmed or approved.');
+            }
             closePaymentModal();
             event.target.reset();
 
@@ -348,17 +436,18 @@ async function loadPaymentHistory() {
     if (!historyList) return;
 
     try {
-        const response = await fetch('/api/payments?action=get-user-payments', {
+        const response = await userFetch('/api/payments?action=get-user-payments', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ userEmail: userEmail })
+            body: JSON.stringify({})
         });
 
         const data = await response.json();
 
         if (data.success && data.payments && data.payments.length > 0) {
+            const pricing = await loadPricing();
             const paymentsHTML = data.payments.map(payment => {
                 const statusColor = payment.status === 'approved' ? '#28a745' :
                     payment.status === 'pending' ? '#ffc107' : '#dc3545';
@@ -370,7 +459,7 @@ async function loadPaymentHistory() {
                     hour: '2-digit',
                     minute: '2-digit'
                 });
-                const credits = Math.floor(payment.amount); // $1 = 1 credit
+                const credits = paymentCredits(payment, pricing);
 
                 return `
                     <div style="display: flex; justify-content: space-between; align-items: center; padding: 1rem; border-bottom: 1px solid rgba(255,255,255,0.05);">
@@ -408,6 +497,124 @@ async function loadPaymentHistory() {
     }
 }
 
+// API keys from the last loadApiKeys(), used by the rename prompt
+let loadedApiKeys = [];
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Load the user's API keys
+async function loadApiKeys() {
+    const keysList = document.getElementById('apiKeysList');
+    if (!keysList) return;
+
+    try {
+        const response = await userFetch('/api/users?action=list-api-keys');
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        loadedApiKeys = data.apiKeys;
+        if (data.apiKeys.length === 0) {
+            keysList.innerHTML = '<div style="text-align: center; color: var(--text-muted); padding: 1rem;">No API keys yet</div>';
+            return;
+        }
+
+        keysList.innerHTML = data.apiKeys.map(key => {
+            const created = new Date(key.createdAt).toLocaleDateString();
+            const lastUsed = key.lastUsedAt
+                ? `Last used ${new Date(key.lastUsedAt).toLocaleString()}${key.lastUsedIp ? ' from ' + key.lastUsedIp : ''}`
+                : 'Never used';
+            const actions = key.revokedAt
+                ? `<span style="color: #dc3545; font-size: 0.85rem;">${key.rotatedTo ? 'Rotated' : 'Revoked'} ${new Date(key.revokedAt).toLocaleDateString()}</span>`
+                : `<button class="btn btn-outline" onclick="labelApiKey('${key.id}')" style="padding: 0.3rem 0.8rem; font-size: 0.8rem;">Rename</button>
+                   <button class="btn btn-outline" onclick="rotateApiKey('${key.id}')" style="padding: 0.3rem 0.8rem; font-size: 0.8rem;">Rotate</button>
+                   <button class="btn" onclick="revokeApiKey('${key.id}')" style="padding: 0.3rem 0.8rem; font-size: 0.8rem; background: #dc3545; color: white; border: none;">Revoke</button>`;
+
+            return `
+                <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; flex-wrap: wrap; padding: 1rem 0; border-bottom: 1px solid rgba(255,255,255,0.05); ${key.revokedAt ? 'opacity: 0.6;' : ''}">
+                    <div>
+                        <div style="font-weight: 600; margin-bottom: 0.25rem;">${escapeHtml(key.label)}</div>
+                        <div style="font-size: 0.8rem; color: var(--text-muted); font-family: monospace;">${key.prefix}_••••</div>
+                        <div style="font-size: 0.8rem; color: var(--text-secondary); margin-top: 0.25rem;">Created ${created} · ${lastUsed}</div>
+                    </div>
+                    <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">${actions}</div>
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading API keys:', error);
+        keysList.innerHTML = '<div style="text-align: center; color: #dc3545; padding: 1rem;">Error loading API keys</div>';
+    }
+}
+
+// Send an API key action and refresh the list; shows a newly issued key once
+async function apiKeyAction(action, payload) {
+    try {
+        const response = await userFetch(`/api/users?action=${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            alert('API key error: ' + data.error);
+            return false;
+        }
+
+        if (data.key) {
+            document.getElementById('newApiKeyValue').textContent = data.key;
+            document.getElementById('newApiKey').style.display = 'block';
+        }
+        await loadApiKeys();
+        return true;
+    } catch (error) {
+        console.error('API key action error:', error);
+        alert('Failed to update API key. Please try again.');
+        return false;
+    }
+}
+
+async function createApiKey(event) {
+    event.preventDefault();
+    const labelInput = document.getElementById('apiKeyLabel');
+    if (await apiKeyAction('create-api-key', { label: labelInput.value })) {
+        labelInput.value = '';
+    }
+}
+
+async function labelApiKey(keyId) {
+    const currentLabel = (loadedApiKeys.find(key => key.id === keyId) || {}).label || '';
+    const label = prompt('New label for this API key:', currentLabel);
+    if (!label || label === currentLabel) return;
+    await apiKeyAction('label-api-key', { keyId, label });
+}
+
+async function rotateApiKey(keyId) {
+    if (!confirm('Rotate this key? The current key stops working immediately and a new one is issued.')) return;
+    await apiKeyAction('rotate-api-key', { keyId });
+}
+
+async function revokeApiKey(keyId) {
+    if (!confirm('Revoke this key? Apps using it will no longer be able to use your SMS credits.')) return;
+    await apiKeyAction('revoke-api-key', { keyId });
+}
+
+function copyNewApiKey(button) {
+    navigator.clipboard.writeText(document.getElementById('newApiKeyValue').textContent).then(() => {
+        button.innerHTML = '<i class="fas fa-check"></i>';
+        setTimeout(() => {
+            button.innerHTML = '<i class="fas fa-copy"></i>';
+        }, 2000);
+    });
+}
+
 // Auto-refresh mechanism
 let autoRefreshInterval = null;
 let lastCreditsCount = 0;
@@ -429,7 +636,7 @@ function startAutoRefresh() {
         }
 
         try {
-            const userData = await getUserData(userEmail);
+            const userData = await getUserData();
             if (userData) {
                 const currentCredits = userData.smsCredits || 0;
 
@@ -469,12 +676,12 @@ async function checkPaymentConfirmations() {
     if (!userEmail) return;
 
     try {
-        const response = await fetch('/api/payments?action=get-user-payments', {
+        const response = await userFetch('/api/payments?action=get-user-payments', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ userEmail: userEmail })
+            body: JSON.stringify({})
         });
 
         const data = await response.json();
@@ -492,11 +699,12 @@ async function checkPaymentConfirmations() {
             });
 
             if (recentApproved.length > 0) {
-                const totalCredits = recentApproved.reduce((sum, p) => sum + Math.floor(p.amount), 0);
+                const pricing = await loadPricing();
+                const totalCredits = recentApproved.reduce((sum, p) => sum + paymentCredits(p, pricing), 0);
                 showNotification(`Payment approved! ${totalCredits} SMS credit${totalCredits > 1 ? 's' : ''} added to your account.`, 'success');
 
                 // Immediately refresh user data to update credits display
-                const updatedUserData = await getUserData(userEmail);
+                const updatedUserData = await getUserData();
                 if (updatedUserData) {
                     displayUserData(updatedUserData);
                 }
@@ -594,6 +802,8 @@ function contactSupport() {
 function logout() {
     // Clear session data
     sessionStorage.removeItem('userEmail');
+    sessionStorage.removeItem('userToken');
+    sessionStorage.removeItem('userSessionExpires');
     sessionStorage.removeItem('loginTime');
     sessionStorage.removeItem('isNewUser');
 
@@ -622,4 +832,9 @@ window.submitPayment = submitPayment;
 window.viewHistory = viewHistory;
 window.openMainApp = openMainApp;
 window.contactSupport = contactSupport;
+window.createApiKey = createApiKey;
+window.labelApiKey = labelApiKey;
+window.rotateApiKey = rotateApiKey;
+window.revokeApiKey = revokeApiKey;
+window.copyNewApiKey = copyNewApiKey;
 window.logout = logout;
@@ -19,19 +19,30 @@ document.addEventListener('DOMContentLoaded', function () {
         });
     });
 
+    // Pricing config (see js/pricing.js); the defaults until the live one loads
+    let pricing = window.Pricing ? window.Pricing.DEFAULT_PRICING : null;
+
     // Handle package selection
     window.selectPackage = function (amount, packageName) {
         // Store selected package in sessionStorage
         sessionStorage.setItem('selectedPackage', JSON.stringify({
             amount: amount,
             name: packageName,
-            credits: amount // $1 = 1 credit
+            credits: pricing ? window.Pricing.creditsForAmount(amount, pricing) : amount
         }));
 
         // Redirect to login page
         window.location.href = 'login.html';
     };
 
+    // Replace the static pricing cards with the packages from the live config
+    if (window.Pricing && document.querySelector('.pricing-grid')) {
+        window.Pricing.fetchPricing().then(livePricing => {
+            pricing = livePricing;
+            renderPricing(pricing);
+        });
+    }
+
     // FAQ accordion functionality
     const faqItems = document.querySelectorAll('.faq-item');
     faqItems.forEach(item => {
@@ -90,6 +101,52 @@ document.addEventListener('DOMContentLoaded', function () {
     }
 });
 
+// Render the pricing section from a pricing config
+function renderPricing(pricing) {
+    const { creditsForAmount } = window.Pricing;
+    const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    const perSms = (amount, credits) => `$${(amount / credits).toFixed(2).replace(/\.00$/, '')} per SMS`;
+
+    const rate = document.getElementById('pricingRate');
+    if (rate) {
+        rate.innerHTML = `<strong>$${pricing.pricePerCredit} per SMS</strong> - Pay only for what you use`;
+    }
+    const minimum = document.getElementById('pricingMinimum');
+    if (minimum) {
+        minimum.textContent = `Choose a suggested package or enter any amount (minimum $${pricing.minimumAmount})`;
+    }
+    const discounts = document.getElementById('pricingDiscounts');
+    if (discounts) {
+        discounts.textContent = pricing.discounts.length > 0
+            ? 'Volume discounts: ' + pricing.discounts.map(d => `${d.discountPercent}% off from $${d.minAmount}`).join(' · ')
+            : '';
+        discounts.style.display = pricing.discounts.length > 0 ? '' : 'none';
+    }
+
+    const grid = document.querySelector('.pricing-grid');
+    if (!grid || pricing.packages.length === 0) return;
+
+    grid.innerHTML = pricing.packages.map(pkg => {
+        const credits = creditsForAmount(pkg.amount, pricing);
+        const name = escape(pkg.name);
+        return `
+                <div class="card pricing-card${pkg.featured ? ' featured' : ''}">
+                    ${pkg.featured ? `<div
+                        style="position: absolute; top: 0; right: 0; background: var(--primary-color); color: white; padding: 5px 15px; font-size: 0.8rem; border-bottom-left-radius: 10px;">
+                        POPULAR</div>` : ''}
+                    <h3>${name}</h3>
+                    <div class="price">$${pkg.amount} <span>/ ${credits} SMS</span></div>
+                    <p style="font-size: 0.9rem; color: var(--text-secondary); margin: 0.5rem 0;">${perSms(pkg.amount, credits)}</p>
+                    <ul class="features-list">
+                        <li><i class="fas fa-check"></i> ${credits} SMS Transfers</li>
+                        ${pkg.features.map(feature => `<li><i class="fas fa-check"></i> ${escape(feature)}</li>`).join('')}
+                    </ul>
+                    <button class="btn ${pkg.featured ? 'btn-primary' : 'btn-outline'}" style="width: 100%;"
+                        onclick="selectPackage(${pkg.amount}, ${escape(JSON.stringify(pkg.name))})">Select ${name}</button>
+                </div>`;
+    }).join('');
+}
+
 // Interactive Demo Logic
 window.runDemo = function () {
     const phoneInput = document.getElementById('demoPhone');
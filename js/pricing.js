@@ -0,0 +1,66 @@
+// Pricing rules shared by the site and the API (functions/lib/pricing.js imports
+// this module). The live config is edited by owners in the admin panel, stored in
+// Firestore at config/pricing and served by /api/payments?action=get-pricing.
+
+export const DEFAULT_PRICING = {
+    // USD per SMS credit before discounts
+    pricePerCredit: 1,
+    // Smallest payment accepted
+    minimumAmount: 5,
+    // Suggested packages shown on the landing page
+    packages: [
+        { name: 'Starter', amount: 5, featured: false, features: ['Instant Delivery', 'Basic Support'] },
+        { name: 'Pro', amount: 20, featured: true, features: ['Priority Delivery', 'Delivery Status Tracking', 'Premium Support'] },
+        { name: 'Enterprise', amount: 60, featured: false, features: ['Bulk Transfer Tools', 'API Access', '24/7 Dedicated Support'] }
+    ],
+    // Volume discounts: paying at least minAmount takes discountPercent off the price per credit
+    discounts: []
+};
+
+/**
+ * The volume discount bracket a payment falls in
+ * @param {number} amount - Payment in USD
+ * @param {Object} pricing - Pricing config
+ * @returns {{minAmount: number, discountPercent: number}|null}
+ */
+export function discountFor(amount, pricing = DEFAULT_PRICING) {
+    return (pricing.discounts || [])
+        .filter(bracket => amount >= bracket.minAmount)
+        .reduce((best, bracket) => (!best || bracket.minAmount > best.minAmount ? bracket : best), null);
+}
+
+/**
+ * SMS credits bought by a payment
+ * @param {number} amount - Payment in USD
+ * @param {Object} pricing - Pricing config
+ * @returns {number}
+ */
+export function creditsForAmount(amount, pricing = DEFAULT_PRICING) {
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value <= 0) return 0;
+
+    const discount = discountFor(value, pricing);
+    const price = pricing.pricePerCredit * (1 - (discount ? discount.discountPercent : 0) / 100);
+    // Rounded before flooring so that e.g. $9 at $0.90 is 10 credits, not 9.999...
+    return Math.floor(Math.round((value / price) * 1e6) / 1e6);
+}
+
+/**
+ * Current pricing from the API, or the defaults if it can't be loaded
+ * @returns {Promise<Object>}
+ */
+export async function fetchPricing() {
+    try {
+        const response = await fetch('/api/payments?action=get-pricing');
+        const data = await response.json();
+        if (data.success && data.pricing) return data.pricing;
+    } catch (error) {
+        console.error('Error loading pricing:', error);
+    }
+    return DEFAULT_PRICING;
+}
+
+// Pages load this as <script type="module">; their classic scripts use window.Pricing
+if (typeof window !== 'undefined') {
+    window.Pricing = { DEFAULT_PRICING, discountFor, creditsForAmount, fetchPricing };
+}
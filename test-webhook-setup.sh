@@ -1,9 +1,10 @@
 #!/bin/bash
 
 # Test Telegram Webhook Setup
-# Replace YOUR_BOT_TOKEN with your actual bot token
+# Usage: ./test-webhook-setup.sh YOUR_BOT_TOKEN YOUR_WEBHOOK_SECRET
 
 BOT_TOKEN="${1:-YOUR_BOT_TOKEN}"
+WEBHOOK_SECRET="${2:-YOUR_WEBHOOK_SECRET}"
 
 echo "=== Testing Telegram Webhook Setup ==="
 echo ""
@@ -19,7 +20,9 @@ echo "2. Testing Webhook Endpoint:"
 echo "Sending test /start command..."
 curl -X POST "https://smssub-website.vercel.app/api/telegram-webhook" \
   -H "Content-Type: application/json" \
+  -H "X-Telegram-Bot-Api-Secret-Token: ${WEBHOOK_SECRET}" \
   -d '{
+    "update_id": '"$(date +%s)"',
     "message": {
       "message_id": 1,
       "from": {
@@ -46,7 +49,7 @@ echo "If webhook URL is not set or incorrect, set it with:"
 echo ""
 echo "curl -X POST \"https://api.telegram.org/bot${BOT_TOKEN}/setWebhook\" \\"
 echo "  -H \"Content-Type: application/json\" \\"
-echo "  -d '{\"url\": \"https://smssub-website.vercel.app/api/telegram-webhook\"}'"
+echo "  -d '{\"url\": \"https://smssub-website.vercel.app/api/telegram-webhook\", \"secret_token\": \"${WEBHOOK_SECRET}\"}'"
 echo ""
 echo "Then check Vercel logs to see if webhook is receiving updates."
 
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryDB } from '../functions/lib/memory-db.js';
+import { createApiKey, authenticateApiKey } from '../functions/lib/api-keys.js';
+
+function requestWith(key, headers = {}) {
+    return new Request('https://site.test/api/sms', { headers: { Authorization: `Bearer ${key}`, ...headers } });
+}
+
+test('usage is recorded from the client IP at most once a minute', async (t) => {
+    const db = new MemoryDB();
+    const { key, apiKey } = await createApiKey(db, 'u@x.com', 'app');
+    const ref = db.collection('api_keys').doc(apiKey.id);
+
+    // X-Forwarded-For may be a chain: only the client's own address is kept
+    assert.deepEqual(await authenticateApiKey(requestWith(key, { 'X-Forwarded-For': '1.1.1.1, 10.0.0.1' }), db),
+        { userEmail: 'u@x.com', keyId: apiKey.id });
+    const first = (await ref.get()).data();
+    assert.equal(first.lastUsedIp, '1.1.1.1');
+
+    const update = t.mock.method(ref.constructor.prototype, 'update');
+    await authenticateApiKey(requestWith(key, { 'X-Forwarded-For': '1.1.1.1' }), db);
+    assert.equal(update.mock.callCount(), 0);
+
+    await authenticateApiKey(requestWith(key, { 'CF-Connecting-IP': '2.2.2.2' }), db);
+    assert.equal(update.mock.callCount(), 1);
+    assert.equal((await ref.get()).data().lastUsedIp, '2.2.2.2');
+});
+
+test('wrong keys are refused', async () => {
+    const db = new MemoryDB();
+    const { key } = await createApiKey(db, 'u@x.com', 'app');
+    assert.equal(await authenticateApiKey(requestWith(`${key.slice(0, -1)}${key.endsWith('x') ? 'y' : 'x'}`), db), null);
+    assert.equal(await authenticateApiKey(requestWith('not-a-key'), db), null);
+});
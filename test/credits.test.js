@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryDB } from '../functions/lib/memory-db.js';
+import { adjustCredits, reconcileCredits } from '../functions/lib/credits.js';
+
+// Ledger entries a minute apart, so reconcileCredits reads them in order
+function ledger(entries) {
+    const start = Date.parse('2026-01-01T00:00:00Z');
+    return Object.fromEntries(entries.map((entry, i) => [
+        `entry${i}`,
+        { type: 'adjustment', actor: 'o@x.com', createdAt: new Date(start + i * 60000), ...entry }
+    ]));
+}
+
+test('reconcileCredits passes balances that follow from their ledger', async () => {
+    const db = new MemoryDB({
+        users: { 'a@x.com': { smsCredits: 7 }, 'b@x.com': { smsCredits: 0 } },
+        credit_ledger: ledger([
+            { email: 'a@x.com', type: 'purchase', delta: 10, balanceAfter: 10 },
+            { email: 'a@x.com', type: 'usage', delta: -3, balanceAfter: 7 }
+        ])
+    });
+
+    const report = await reconcileCredits(db);
+    assert.deepEqual(report, { checkedUsers: 2, entries: 2, drifted: [], unrecorded: [] });
+});
+
+test('reconcileCredits starts from the balance before the first entry', async () => {
+    const db = new MemoryDB({
+        users: { 'a@x.com': { smsCredits: 25 } },
+        credit_ledger: ledger([{ email: 'a@x.com', type: 'purchase', delta: 5, balanceAfter: 25 }])
+    });
+
+    assert.deepEqual((await reconcileCredits(db)).drifted, []);
+});
+
+test('reconcileCredits reports balances changed without an entry', async () => {
+    const db = new MemoryDB({
+        users: { 'a@x.com': { smsCredits: 12 }, 'b@x.com': { smsCredits: 4 }, 'c@x.com': { smsCredits: 3 } },
+        credit_ledger: ledger([
+            { email: 'a@x.com', type: 'purchase', delta: 10, balanceAfter: 10 },
+            // b's balance went from 10 to 20 between these entries
+            { email: 'b@x.com', type: 'purchase', delta: 10, balanceAfter: 10 },
+            { email: 'b@x.com', type: 'usage', delta: -1, balanceAfter: 19 },
+            { email: 'b@x.com', type: 'usage', delta: -15, balanceAfter: 4 }
+        ])
+    });
+
+    const report = await reconcileCredits(db);
+    assert.equal(report.entries, 4);
+    assert.deepEqual(report.drifted, [
+        { email: 'a@x.com', balance: 12, expected: 10, drift: 2, gaps: 0 },
+        { email: 'b@x.com', balance: 4, expected: 4, drift: 0, gaps: 1 }
+    ]);
+    assert.deepEqual(report.unrecorded, [{ email: 'c@x.com', balance: 3 }]);
+});
+
+test('adjustCredits writes the ledger entry that reconciles the balance', async () => {
+    const db = new MemoryDB({ users: { 'a@x.com': { smsCredits: 5 } } });
+
+    const adjustment = await adjustCredits(db, { email: 'a@x.com', delta: 3, reason: 'goodwill', actor: 'o@x.com' });
+    assert.equal(adjustment.balanceAfter, 8);
+    assert.deepEqual((await adjustCredits(db, { email: 'a@x.com', delta: -9, reason: 'correction', actor: 'o@x.com' })),
+        { error: 'a@x.com has only 8 credits', status: 400 });
+
+    const report = await reconcileCredits(db);
+    assert.deepEqual(report, { checkedUsers: 1, entries: 1, drifted: [], unrecorded: [] });
+});
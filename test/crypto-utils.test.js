@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomString } from '../functions/lib/crypto-utils.js';
+import { generateRecoveryCodes } from '../functions/lib/totp.js';
+
+test('randomString draws only from the alphabet', () => {
+    const value = randomString('abc', 300);
+    assert.equal(value.length, 300);
+    assert.match(value, /^[abc]+$/);
+    for (const char of 'abc') assert.ok(value.includes(char));
+});
+
+test('randomString discards bytes that would bias the result', (t) => {
+    // 31 symbols: 248 = 8 * 31, so 248..255 must be redrawn rather than wrap to the first symbols
+    const draws = [[255, 248, 250, 0, 30], [31, 247]];
+    t.mock.method(crypto, 'getRandomValues', (bytes) => {
+        bytes.fill(255);
+        bytes.set(draws.shift().slice(0, bytes.length));
+        return bytes;
+    });
+
+    assert.equal(randomString('abcdefghjkmnpqrstuvwxyz23456789', 4), 'a9a9');
+});
+
+test('recovery codes use the unambiguous alphabet', async () => {
+    const { codes, hashes } = await generateRecoveryCodes();
+    assert.equal(codes.length, hashes.length);
+    for (const code of codes) assert.match(code, /^[a-hjkmnp-z2-9]{5}-[a-hjkmnp-z2-9]{5}$/);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { onRequest } from '../functions/api/users.js';
+import { registerMailTransport } from '../functions/lib/mailer.js';
+import { getMemoryDb } from '../functions/lib/memory-db.js';
+import { issueLoginCode } from '../functions/lib/login-codes.js';
+
+const outbox = [];
+registerMailTransport('capture', async (message) => { outbox.push(message); });
+
+const ENV = { STORAGE_BACKEND: 'memory', RATE_LIMIT_STORE: 'memory', SESSION_SECRET: 'test-secret', MAIL_TRANSPORT: 'capture' };
+
+await getMemoryDb().collection('users').doc('known@x.com').set({ email: 'known@x.com', smsCredits: 0 });
+
+async function call(action, body, { ip = '10.0.0.1', env = ENV } = {}) {
+    const request = new Request(`https://site.test/api/users?action=${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': ip },
+        body: JSON.stringify(body)
+    });
+    const response = await onRequest({ request, env });
+    return { status: response.status, body: await response.json() };
+}
+
+test('login code requests fail closed without a mail transport', async () => {
+    const env = { ...ENV, MAIL_TRANSPORT: undefined };
+    for (const email of ['known@x.com', 'nobody@x.com']) {
+        const { status, body } = await call('request-login-code', { email }, { ip: '10.0.1.1', env });
+        assert.equal(status, 500);
+        assert.equal(body.error, 'Email delivery is not configured');
+    }
+    assert.equal(outbox.length, 0);
+});
+
+test('login code requests are throttled per IP and per email', async () => {
+    // Per email: three free sends and one more, then a wait, whichever IP asks
+    for (let i = 0; i < 4; i++) {
+        assert.equal((await call('request-login-code', { email: 'spaced@x.com' }, { ip: `10.0.2.${i}` })).status, 200);
+    }
+    const spaced = await call('request-login-code', { email: 'spaced@x.com' }, { ip: '10.0.2.9' });
+    assert.equal(spaced.status, 429);
+
+    // Per IP: five free sends and one more, then a wait, whichever email is asked for
+    for (let i = 0; i < 6; i++) {
+        assert.equal((await call('request-login-code', { email: `ip${i}@x.com` }, { ip: '10.0.3.1' })).status, 200);
+    }
+    assert.equal((await call('request-login-code', { email: 'ip9@x.com' }, { ip: '10.0.3.1' })).status, 429);
+});
+
+test('requesting codes for an account does not lock its login', async () => {
+    for (let i = 0; i < 10; i++) {
+        await call('request-login-code', { email: 'known@x.com' }, { ip: `10.0.4.${i}` });
+    }
+
+    const code = new URL(outbox.at(-1).text.match(/https:\S+/)[0]).searchParams.get('code');
+    const { status, body } = await call('verify-login-code', { email: 'known@x.com', code }, { ip: '10.0.4.99' });
+    assert.equal(status, 200);
+    assert.ok(body.token);
+});
+
+test('wrong codes count towards the account lockout', async () => {
+    await getMemoryDb().collection('users').doc('guessed@x.com').set({ email: 'guessed@x.com', smsCredits: 0 });
+    let last;
+    // A fresh code each time, guessed from a fresh IP, so only the account counter can block
+    for (let i = 0; i < 16; i++) {
+        await getMemoryDb().collection('login_codes').doc('guessed@x.com').delete();
+        await issueLoginCode(getMemoryDb(), 'guessed@x.com');
+        last = await call('verify-login-code', { email: 'guessed@x.com', code: '000000x' }, { ip: `10.0.6.${i}` });
+        if (last.status === 429) break;
+    }
+    assert.equal(last.status, 429);
+    assert.match(last.body.error, /Too many/);
+});
@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryDB } from '../functions/lib/memory-db.js';
+import { FieldValue } from '../functions/lib/firebase.js';
+import { AbortedError, FailedPreconditionError, NotFoundError } from '../functions/lib/errors.js';
+
+test('transactions commit reads and writes together', async () => {
+    const db = new MemoryDB({ counters: { a: { value: 1 } } });
+    const ref = db.collection('counters').doc('a');
+
+    const result = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        transaction.update(ref, { value: doc.data().value + 1 });
+        return doc.data().value;
+    });
+
+    assert.equal(result, 1);
+    assert.equal((await ref.get()).data().value, 2);
+});
+
+test('transactions retry from scratch when a read document changes', async () => {
+    const db = new MemoryDB({ counters: { a: { value: 1 } } });
+    const ref = db.collection('counters').doc('a');
+    let attempts = 0;
+
+    await db.runTransaction(async (transaction) => {
+        attempts++;
+        const doc = await transaction.get(ref);
+        if (attempts === 1) {
+            // A concurrent writer gets in between the read and the commit
+            await ref.update({ value: 10 });
+        }
+        transaction.update(ref, { value: doc.data().value + 1 });
+    });
+
+    assert.equal(attempts, 2);
+    assert.equal((await ref.get()).data().value, 11);
+});
+
+test('transactions give up with AbortedError after maxAttempts', async () => {
+    const db = new MemoryDB({ counters: { a: { value: 1 } } });
+    const ref = db.collection('counters').doc('a');
+    let attempts = 0;
+
+    await assert.rejects(db.runTransaction(async (transaction) => {
+        attempts++;
+        await transaction.get(ref);
+        await ref.update({ value: FieldValue.increment(1) });
+        transaction.update(ref, { value: 0 });
+    }, { maxAttempts: 3 }), AbortedError);
+
+    assert.equal(attempts, 3);
+    assert.equal((await ref.get()).data().value, 4);
+});
+
+test('transactions reject reads after writes', async () => {
+    const db = new MemoryDB();
+    const ref = db.collection('docs').doc('a');
+
+    await assert.rejects(db.runTransaction(async (transaction) => {
+        transaction.set(ref, { value: 1 });
+        await transaction.get(ref);
+    }), /all reads to be executed before all writes/);
+    assert.equal((await ref.get()).exists, false);
+});
+
+test('FieldValue transforms apply to the current value', async () => {
+    const db = new MemoryDB({ docs: { a: { count: 5, high: 3, low: 3, tags: ['x', 'y'] } } });
+    const ref = db.collection('docs').doc('a');
+
+    await ref.update({
+        count: FieldValue.increment(2),
+        missing: FieldValue.increment(4),
+        high: FieldValue.maximum(7),
+        low: FieldValue.minimum(1),
+        tags: FieldValue.arrayUnion('y', 'z'),
+        stamp: FieldValue.serverTimestamp()
+    });
+    await ref.update({ tags: FieldValue.arrayRemove('x') });
+
+    const data = (await ref.get()).data();
+    assert.equal(data.count, 7);
+    assert.equal(data.missing, 4);
+    assert.equal(data.high, 7);
+    assert.equal(data.low, 1);
+    assert.deepEqual(data.tags, ['y', 'z']);
+    assert.ok(data.stamp.toMillis() > 0);
+});
+
+test('FieldValue sentinels are rejected below the top level', async () => {
+    const db = new MemoryDB();
+    await assert.rejects(
+        db.collection('docs').doc('a').set({ nested: { count: FieldValue.increment(1) } }),
+        /top-level field/
+    );
+});
+
+test('batch create fails when the document exists', async () => {
+    const db = new MemoryDB({ docs: { a: { value: 1 } } });
+    const batch = db.batch();
+    batch.create(db.collection('docs').doc('a'), { value: 2 });
+
+    await assert.rejects(batch.commit(), (error) => error instanceof FailedPreconditionError && error.code === 'ALREADY_EXISTS');
+});
+
+test('batch update needs an existing document', async () => {
+    const db = new MemoryDB();
+    const batch = db.batch();
+    batch.update(db.collection('docs').doc('a'), { value: 2 });
+
+    await assert.rejects(batch.commit(), NotFoundError);
+});
+
+test('batch lastUpdateTime preconditions fail stale writes and roll the batch back', async () => {
+    const db = new MemoryDB({ docs: { a: { value: 1 }, b: { value: 1 } } });
+    const refA = db.collection('docs').doc('a');
+    const refB = db.collection('docs').doc('b');
+    const stale = await refA.get();
+    await refA.update({ value: 2 });
+
+    const batch = db.batch();
+    batch.update(refB, { value: 3 });
+    batch.update(refA, { value: 3 }, { lastUpdateTime: stale.updateTime });
+    await assert.rejects(batch.commit(), FailedPreconditionError);
+
+    assert.equal((await refA.get()).data().value, 2);
+    assert.equal((await refB.get()).data().value, 1);
+
+    const fresh = await refA.get();
+    const retry = db.batch();
+    retry.update(refA, { value: 3 }, { lastUpdateTime: fresh.updateTime });
+    await retry.commit();
+    assert.equal((await refA.get()).data().value, 3);
+});
+
+test('batches can only be committed once', async () => {
+    const db = new MemoryDB();
+    const batch = db.batch();
+    batch.set(db.collection('docs').doc('a'), { value: 1 });
+    await batch.commit();
+
+    await assert.rejects(batch.commit(), /already been committed/);
+    assert.throws(() => batch.set(db.collection('docs').doc('b'), { value: 1 }), /has been committed/);
+});
+
+test('paginating an inequality query orders by the filtered field', async () => {
+    const db = new MemoryDB({
+        payments: { a: { amount: 5 }, b: { amount: 1 }, c: { amount: 3 }, d: { amount: 9 }, e: { amount: 2 } }
+    });
+
+    const pages = [];
+    for await (const page of db.collection('payments').where('amount', '>', 1).paginate(2)) {
+        pages.push(page.docs.map(doc => doc.data().amount));
+    }
+
+    assert.deepEqual(pages, [[2, 3], [5, 9]]);
+});
+
+test('integers beyond 2^53 round-trip exactly as BigInt', async () => {
+    const db = new MemoryDB();
+    const ref = db.collection('docs').doc('a');
+    const big = 2n ** 53n + 1n;
+    await ref.set({ big, small: 5n, count: big });
+    await ref.update({ count: FieldValue.increment(1) });
+
+    const data = (await ref.get()).data();
+    assert.equal(data.big, big);
+    assert.equal(data.small, 5);
+    assert.equal(data.count, big + 1n);
+});
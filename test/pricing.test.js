@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PRICING, creditsForAmount } from '../functions/lib/pricing.js';
+
+const TIERED = {
+    ...DEFAULT_PRICING,
+    discounts: [
+        { minAmount: 50, discountPercent: 20 },
+        { minAmount: 9, discountPercent: 10 }
+    ]
+};
+
+test('creditsForAmount buys one credit per pricePerCredit', () => {
+    assert.equal(creditsForAmount(5), 5);
+    assert.equal(creditsForAmount(20.99), 20);
+    assert.equal(creditsForAmount('12'), 12);
+    assert.equal(creditsForAmount(10, { ...DEFAULT_PRICING, pricePerCredit: 0.25 }), 40);
+});
+
+test('creditsForAmount gives nothing for invalid amounts', () => {
+    for (const amount of [0, -5, NaN, Infinity, 'abc', undefined]) {
+        assert.equal(creditsForAmount(amount), 0);
+    }
+});
+
+test('creditsForAmount applies the highest discount bracket reached', () => {
+    assert.equal(creditsForAmount(8, TIERED), 8);
+    // $9 at $0.90 per credit is exactly 10 credits despite floating point
+    assert.equal(creditsForAmount(9, TIERED), 10);
+    assert.equal(creditsForAmount(49, TIERED), 54);
+    assert.equal(creditsForAmount(50, TIERED), 62);
+});
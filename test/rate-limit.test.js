@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryDB } from '../functions/lib/memory-db.js';
+import { createRateLimiter } from '../functions/lib/rate-limit.js';
+
+const POLICY = {
+    name: 'test',
+    freeAttempts: 2,
+    baseDelayMs: 1000,
+    maxDelayMs: 60 * 1000,
+    lockoutThreshold: 50,
+    lockoutMs: 15 * 60 * 1000,
+    windowMs: 60 * 60 * 1000
+};
+
+for (const store of ['firestore', 'memory']) {
+    test(`${store} store counts every concurrent failure`, async () => {
+        const db = new MemoryDB();
+        const limiter = createRateLimiter({ RATE_LIMIT_STORE: store }, db, POLICY);
+        const keys = [`ip:${store}-burst`];
+
+        await Promise.all(Array.from({ length: 8 }, () => limiter.recordFailure(keys)));
+
+        const blocked = await limiter.check(keys);
+        assert.equal(blocked.status, 429);
+        // 8 failures with 2 free: the last one waits 2^5 seconds
+        assert.equal(blocked.retryAfter, 32);
+    });
+
+    test(`${store} store locks out at the threshold and resets`, async () => {
+        const db = new MemoryDB();
+        const limiter = createRateLimiter({ RATE_LIMIT_STORE: store }, db, { ...POLICY, lockoutThreshold: 3 });
+        const keys = [`account:${store}-lock@x.com`];
+
+        assert.equal(await limiter.check(keys), null);
+        for (let i = 0; i < 3; i++) await limiter.recordFailure(keys);
+        assert.match((await limiter.check(keys)).error, /Too many failed attempts/);
+
+        await limiter.reset(keys);
+        assert.equal(await limiter.check(keys), null);
+    });
+}
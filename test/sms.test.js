@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { onRequest } from '../functions/api/sms.js';
+import { onRequestPost as deductSmsCredit } from '../functions/api/deduct-sms-credit.js';
+import { getMemoryDb } from '../functions/lib/memory-db.js';
+import { createApiKey } from '../functions/lib/api-keys.js';
+
+const ENV = { STORAGE_BACKEND: 'memory' };
+
+const db = getMemoryDb();
+await db.collection('users').doc('sms@x.com').set({ email: 'sms@x.com', smsCredits: 1 });
+const { key } = await createApiKey(db, 'sms@x.com', 'test');
+
+function request(path) {
+    return new Request(`https://site.test${path}`, { method: 'POST', headers: { Authorization: `Bearer ${key}` } });
+}
+
+test('both deduct endpoints answer 402 once credits run out', async () => {
+    const spent = await onRequest({ request: request('/api/sms?action=deduct-sms-credit'), env: ENV });
+    assert.equal(spent.status, 200);
+    assert.equal((await spent.json()).data.smsCredits, 0);
+
+    const routed = await onRequest({ request: request('/api/sms?action=deduct-sms-credit'), env: ENV });
+    assert.equal(routed.status, 402);
+    assert.equal((await routed.json()).error, 'Insufficient credits');
+
+    const direct = await deductSmsCredit({ request: request('/api/deduct-sms-credit'), env: ENV });
+    assert.equal(direct.status, 402);
+    assert.equal((await direct.json()).error, 'Insufficient credits');
+
+    assert.equal((await db.collection('users').doc('sms@x.com').get()).data().smsCredits, 0);
+});
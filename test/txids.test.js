@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryDB } from '../functions/lib/memory-db.js';
+import { createPaymentWithTxid, normalizeTxid } from '../functions/lib/txids.js';
+import { approvePaymentRecord, rejectPaymentRecord } from '../functions/lib/payments.js';
+
+const TXID = 'ab'.repeat(32);
+
+function payment(email, extra = {}) {
+    return { email, amount: 10, txid: TXID, status: 'pending', createdAt: new Date(), ...extra };
+}
+
+async function claimOf(db) {
+    return (await db.collection('payment_txids').doc(TXID).get()).data();
+}
+
+test('normalizeTxid strips 0x and lowercases hashes', () => {
+    assert.equal(normalizeTxid(` 0x${TXID.toUpperCase()} `), TXID);
+    assert.equal(normalizeTxid('not-a-hash'), null);
+});
+
+test('concurrent submissions of one txid create a single payment', async () => {
+    const db = new MemoryDB();
+
+    const results = await Promise.all([
+        createPaymentWithTxid(db, payment('a@x.com')),
+        createPaymentWithTxid(db, payment('b@x.com')),
+        createPaymentWithTxid(db, payment('c@x.com'))
+    ]);
+
+    const created = results.filter(r => r.paymentId);
+    assert.equal(created.length, 1);
+    assert.equal(results.filter(r => r.duplicate).length, 2);
+    assert.equal((await db.collection('payments').get()).size, 1);
+    assert.equal((await claimOf(db)).paymentId, created[0].paymentId);
+});
+
+test('a rejected payment releases its txid to the next submission', async () => {
+    const db = new MemoryDB();
+    const first = await createPaymentWithTxid(db, payment('a@x.com'));
+    assert.ok((await rejectPaymentRecord(db, first.paymentId, { actor: 'o@x.com' })).payment);
+
+    const second = await createPaymentWithTxid(db, payment('b@x.com'));
+    assert.ok(second.paymentId);
+    assert.equal((await claimOf(db)).paymentId, second.paymentId);
+
+    // The old payment can no longer be approved with a txid it gave up
+    const approval = await approvePaymentRecord(db, first.paymentId, { actor: 'o@x.com' });
+    assert.equal(approval.status, 409);
+});
+
+test('concurrent takeovers of a released txid create a single payment', async () => {
+    const db = new MemoryDB();
+    const first = await createPaymentWithTxid(db, payment('a@x.com'));
+    await rejectPaymentRecord(db, first.paymentId, { actor: 'o@x.com' });
+
+    const results = await Promise.allSettled([
+        createPaymentWithTxid(db, payment('b@x.com')),
+        createPaymentWithTxid(db, payment('c@x.com'))
+    ]);
+
+    const created = results.filter(r => r.status === 'fulfilled' && r.value.paymentId);
+    assert.equal(created.length, 1);
+    assert.equal((await claimOf(db)).paymentId, created[0].value.paymentId);
+    const pending = (await db.collection('payments').get()).docs.filter(doc => doc.data().status === 'pending');
+    assert.equal(pending.length, 1);
+});
+
+test('an approved payment keeps its txid, even once deleted', async () => {
+    const db = new MemoryDB();
+    const first = await createPaymentWithTxid(db, payment('a@x.com'));
+    const approval = await approvePaymentRecord(db, first.paymentId, { actor: 'o@x.com' });
+    assert.equal(approval.creditsAdded, 10);
+    assert.ok((await claimOf(db)).approvedAt);
+
+    const rejection = await rejectPaymentRecord(db, first.paymentId, { actor: 'o@x.com' });
+    assert.deepEqual(rejection, { error: 'Cannot reject approved payment', status: 400 });
+
+    await db.collection('payments').doc(first.paymentId).delete();
+    const resubmitted = await createPaymentWithTxid(db, payment('b@x.com'));
+    assert.equal(resubmitted.duplicate.id, first.paymentId);
+    assert.equal(resubmitted.duplicate.data.status, 'deleted');
+});
+
+test('payments from before txids were claimed still count as duplicates', async () => {
+    const db = new MemoryDB({ payments: { legacy: payment('a@x.com', { txid: `0x${TXID}` }) } });
+
+    const result = await createPaymentWithTxid(db, payment('b@x.com'));
+    assert.equal(result.duplicate.id, 'legacy');
+});